@@ -5,11 +5,19 @@
 
 set -e
 
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
 # Default values
 SOURCE_DIR=""
 CONFIG_FILE=""
-GALLERY_DIR="./gallery"
+CONFIG_ARGS=()
 VERBOSE=false
+DRY_RUN=false
+OUTPUT_JSON=false
+FORCE=false
+
+# Copied from the source directory by sync_prototypes (rsync --exclude patterns)
+SYNC_EXCLUDES=(node_modules .git .DS_Store '*.log' vercel.json)
 
 # Colors for output
 RED='\033[0;31m'
@@ -38,30 +46,32 @@ show_usage() {
 Generic Prototype Gallery Deployment Script
 
 USAGE:
-    $0 --source-dir <path> --config <file> [options]
-
-REQUIRED:
-    --source-dir <path>    Path to directory containing prototypes
-    --config <file>        Path to .gallery-config file
+    $0 [--config <file>] [--source-dir <path>] [options]
 
 OPTIONS:
+    --config <file>        Path to gallery.config.json (default: ./gallery.config.json).
+                           Legacy bash .gallery-config files are still accepted.
+    --source-dir <path>    Path to directory containing prototypes (overrides prototypesDir)
+    --dry-run              Show what would be deployed, without deploying or
+                           touching the build directory
+    --json                 With --dry-run, print the plan as JSON
+    --force                Deploy even if validation finds errors
     --verbose              Enable verbose output
     --help                 Show this help message
 
+    Any gallery.config.json option can also be set with its environment variable
+    (e.g. GALLERY_THEME=dark) or flag (e.g. --theme dark, --provider local).
+
 EXAMPLES:
     # Deploy OmniVerse prototypes
-    $0 --source-dir ./prototypes --config ./.gallery-config
+    $0 --source-dir ./prototypes --config ./gallery.config.json
 
     # Deploy from different directory  
-    $0 --source-dir /path/to/prototypes --config /path/to/.gallery-config
+    $0 --source-dir /path/to/prototypes --config /path/to/gallery.config.json
 
 CONFIGURATION FILE FORMAT:
-    The config file should define these variables:
-    - PROJECT_NAME: Unique identifier for your project
-    - PROJECT_TITLE: Display name for the gallery
-    - VERCEL_PROJECT_NAME: Name for the Vercel deployment
-    - PROTOTYPES_DIR: Relative path to prototypes (optional)
-    - PROJECT_DESCRIPTION: Description for the gallery (optional)
+    See "Configuration" in README.md. Relative paths are resolved against the
+    folder of the config file. Required: project.name.
 
 EOF
 }
@@ -82,10 +92,35 @@ parse_args() {
                 VERBOSE=true
                 shift
                 ;;
+            --dry-run)
+                DRY_RUN=true
+                shift
+                ;;
+            --force)
+                FORCE=true
+                shift
+                ;;
+            --json)
+                OUTPUT_JSON=true
+                shift
+                ;;
             --help)
                 show_usage
                 exit 0
                 ;;
+            --*=*)
+                CONFIG_ARGS+=("$1")
+                shift
+                ;;
+            --*)
+                # Any other flag is a gallery.config.json override, e.g. --theme dark
+                CONFIG_ARGS+=("$1")
+                if [[ $# -gt 1 && "$2" != --* ]]; then
+                    CONFIG_ARGS+=("$2")
+                    shift
+                fi
+                shift
+                ;;
             *)
                 log_error "Unknown option: $1"
                 show_usage
@@ -93,32 +128,46 @@ parse_args() {
                 ;;
         esac
     done
+
+    if [[ "$OUTPUT_JSON" == "true" && "$DRY_RUN" != "true" ]]; then
+        log_error "--json prints the plan of a dry run; add --dry-run"
+        exit 1
+    fi
 }
 
-# Load configuration file
+# Load the shared gallery configuration (lib/config.js) into shell variables
 load_config() {
-    if [[ ! -f "$CONFIG_FILE" ]]; then
-        log_error "Configuration file not found: $CONFIG_FILE"
+    local args=("${CONFIG_ARGS[@]}")
+    if [[ -n "$CONFIG_FILE" ]]; then
+        args+=(--config "$CONFIG_FILE")
+    fi
+    if [[ -n "$SOURCE_DIR" ]]; then
+        args+=(--source-dir "$SOURCE_DIR")
+    fi
+
+    # Resolved values are exported so every node step below sees the same configuration
+    local config_output
+    if ! config_output=$(node "$SCRIPT_DIR/lib/config.js" --shell "${args[@]}"); then
         exit 1
     fi
+    eval "$config_output"
 
-    log_info "Loading configuration from: $CONFIG_FILE"
-    source "$CONFIG_FILE"
+    if [[ -n "$GALLERY_CONFIG_FILE" ]]; then
+        log_info "Loaded configuration from: $GALLERY_CONFIG_FILE"
+    else
+        log_warning "No gallery.config.json found, using defaults"
+    fi
 
     # Validate required configuration
     if [[ -z "$PROJECT_NAME" ]]; then
-        log_error "PROJECT_NAME not defined in config file"
+        log_error "project.name (PROJECT_NAME) is not configured"
         exit 1
     fi
 
-    if [[ -z "$VERCEL_PROJECT_NAME" ]]; then
-        log_error "VERCEL_PROJECT_NAME not defined in config file"
-        exit 1
-    fi
-
-    # Set defaults for optional values
-    PROJECT_TITLE="${PROJECT_TITLE:-$PROJECT_NAME}"
-    PROJECT_DESCRIPTION="${PROJECT_DESCRIPTION:-Interactive prototypes for $PROJECT_TITLE}"
+    SOURCE_DIR="$PROTOTYPES_DIR"
+    # The gallery directory holds the state of sync-prototypes.js (deployment history, thumbnails),
+    # so deploy.sh builds its copy next to it and only ever clears that one
+    BUILD_DIR="${GALLERY_DIR%/}-deploy"
 
     if [[ "$VERBOSE" == "true" ]]; then
         log_info "Configuration loaded:"
@@ -126,23 +175,16 @@ load_config() {
         log_info "  PROJECT_TITLE: $PROJECT_TITLE"
         log_info "  VERCEL_PROJECT_NAME: $VERCEL_PROJECT_NAME"
         log_info "  PROJECT_DESCRIPTION: $PROJECT_DESCRIPTION"
+        log_info "  PROTOTYPES_DIR: $PROTOTYPES_DIR"
+        log_info "  GALLERY_DIR: $GALLERY_DIR"
+        log_info "  BUILD_DIR: $BUILD_DIR"
+        log_info "  DEPLOY_PROVIDER: $DEPLOY_PROVIDER"
+        log_info "  GALLERY_THEME: $GALLERY_THEME"
     fi
 }
 
 # Validate inputs
 validate_inputs() {
-    if [[ -z "$SOURCE_DIR" ]]; then
-        log_error "Source directory is required. Use --source-dir"
-        show_usage
-        exit 1
-    fi
-
-    if [[ -z "$CONFIG_FILE" ]]; then
-        log_error "Configuration file is required. Use --config"
-        show_usage
-        exit 1
-    fi
-
     if [[ ! -d "$SOURCE_DIR" ]]; then
         log_error "Source directory does not exist: $SOURCE_DIR"
         exit 1
@@ -162,34 +204,111 @@ check_dependencies() {
     fi
     log_success "Node.js found: $(node --version)"
 
-    # Check for Vercel CLI
-    if ! command -v vercel &> /dev/null; then
-        log_error "Vercel CLI is required but not installed"
-        log_info "Install with: npm install -g vercel"
+    # Check that the deploy provider is usable
+    local check_output
+    if ! check_output=$(run_provider check 2>&1); then
+        log_error "Deploy provider \"$DEPLOY_PROVIDER\" is not ready"
+        echo "$check_output"
         exit 1
     fi
-    log_success "Vercel CLI found: $(vercel --version)"
+    while IFS= read -r line; do
+        log_success "$line"
+    done <<< "$check_output"
+}
 
-    # Check if logged in to Vercel
-    if ! vercel whoami &> /dev/null; then
-        log_error "Not logged in to Vercel"
-        log_info "Please run: vercel login"
-        exit 1
+# Run a deploy provider action (check | deploy <dir> <name>) through lib/providers
+run_provider() {
+    DEPLOY_ACTION="$1" \
+    DEPLOY_DIR="$2" \
+    DEPLOY_NAME="$3" \
+    GALLERY_LIB_DIR="$SCRIPT_DIR/lib" \
+    DEPLOY_PROVIDER="$DEPLOY_PROVIDER" \
+    DEPLOY_TARGET_DIR="$DEPLOY_TARGET_DIR" \
+    DEPLOY_BASE_URL="$DEPLOY_BASE_URL" \
+    DEPLOY_COMMAND="$DEPLOY_COMMAND" \
+    DEPLOY_URL_PATTERN="$DEPLOY_URL_PATTERN" \
+    DEPLOY_TIMEOUT="$DEPLOY_TIMEOUT" \
+    node -e "
+        const { createProvider } = require(process.env.GALLERY_LIB_DIR + '/providers');
+        const env = process.env;
+
+        async function run() {
+            const provider = createProvider({
+                type: env.DEPLOY_PROVIDER,
+                targetDir: env.DEPLOY_TARGET_DIR,
+                baseUrl: env.DEPLOY_BASE_URL,
+                command: env.DEPLOY_COMMAND,
+                urlPattern: env.DEPLOY_URL_PATTERN,
+                timeout: Number(env.DEPLOY_TIMEOUT)
+            });
+
+            if (env.DEPLOY_ACTION === 'check') {
+                const messages = await provider.check();
+                messages.forEach(message => console.log(message));
+            } else {
+                console.log(await provider.deploy({ dir: env.DEPLOY_DIR, name: env.DEPLOY_NAME }));
+            }
+        }
+
+        run().catch(error => {
+            console.error(error.message);
+            (error.hint || []).forEach(line => console.error('  ' + line));
+            process.exit(1);
+        });
+    "
+}
+
+# Check the source directory for broken links, missing titles and large images (lib/validate.js);
+# errors stop the deployment unless --force is given
+validate_prototypes() {
+    log_section "Validating prototypes..."
+
+    if ! GALLERY_ROOT="$SCRIPT_DIR" VALIDATE_DIR="$SOURCE_DIR" node -e "
+        const env = process.env;
+        const { validatePrototype, summarizeReport, formatReport } = require(env.GALLERY_ROOT + '/lib/validate');
+
+        async function run() {
+            // Every HTML file is a gallery entry here, so there is no index.html to require
+            const issues = await validatePrototype(env.VALIDATE_DIR, {
+                excludeDirs: env.EXCLUDE_DIRS.split(',').filter(Boolean),
+                maxImageSize: Number(env.VALIDATION_MAX_IMAGE_SIZE),
+                requireIndex: false
+            });
+            const report = { command: 'validate', prototypes: [{ slug: '.', name: '.', path: env.VALIDATE_DIR, issues }] };
+            const { errors, warnings } = summarizeReport(report);
+            if (errors + warnings > 0) {
+                console.log(formatReport(report));
+            }
+            process.exitCode = errors > 0 ? 1 : 0;
+        }
+
+        run().catch(error => {
+            console.error(error.message);
+            process.exit(2);
+        });
+    "; then
+        if [[ "$FORCE" == "true" ]]; then
+            log_warning "Deploying despite validation errors (--force)"
+        else
+            log_error "Validation failed. Fix the errors above, or deploy anyway with --force"
+            exit 1
+        fi
+    else
+        log_success "Validation passed"
     fi
-    log_success "Logged in to Vercel as: $(vercel whoami)"
 }
 
-# Clean and prepare gallery directory
+# Clean and prepare the build directory
 prepare_gallery() {
-    log_section "Preparing gallery directory..."
+    log_section "Preparing build directory..."
 
-    # Clean gallery directory
-    if [[ -d "$GALLERY_DIR" ]]; then
-        rm -rf "$GALLERY_DIR"
+    # Clean the build directory of the previous run
+    if [[ -d "$BUILD_DIR" ]]; then
+        rm -rf "$BUILD_DIR"
     fi
-    mkdir -p "$GALLERY_DIR"
+    mkdir -p "$BUILD_DIR"
 
-    log_success "Gallery directory prepared: $GALLERY_DIR"
+    log_success "Build directory prepared: $BUILD_DIR"
 }
 
 # Copy prototypes to gallery structure
@@ -201,16 +320,15 @@ sync_prototypes() {
     # Copy all prototypes maintaining directory structure
     if [[ -d "$SOURCE_DIR" ]]; then
         # Use rsync for efficient copying, excluding common unwanted files
-        rsync -av \
-            --exclude='node_modules' \
-            --exclude='.git' \
-            --exclude='.DS_Store' \
-            --exclude='*.log' \
-            --exclude='vercel.json' \
-            "$SOURCE_DIR/" "$GALLERY_DIR/"
+        local excludes=()
+        local pattern
+        for pattern in "${SYNC_EXCLUDES[@]}"; do
+            excludes+=(--exclude="$pattern")
+        done
+        rsync -av "${excludes[@]}" "$SOURCE_DIR/" "$BUILD_DIR/"
 
         # Count prototypes (HTML files)
-        prototype_count=$(find "$GALLERY_DIR" -name "*.html" -type f | wc -l)
+        prototype_count=$(find "$BUILD_DIR" -name "*.html" -type f | wc -l)
         
         log_success "Synced $prototype_count prototype files"
     else
@@ -227,25 +345,51 @@ sync_prototypes() {
 generate_gallery_index() {
     log_section "Generating gallery index..."
 
-    # Call the Node.js script to generate the gallery
+    # Scan the copied HTML files and render them with the shared gallery renderer
+    GALLERY_ROOT="$SCRIPT_DIR" \
+    GALLERY_CONFIG_FILE="$GALLERY_CONFIG_FILE" \
+    GALLERY_OUTPUT_DIR="$BUILD_DIR" \
     node -e "
         const path = require('path');
         const fs = require('fs').promises;
-
-        const config = {
-            projectName: '$PROJECT_NAME',
-            projectTitle: '$PROJECT_TITLE',
-            projectDescription: '$PROJECT_DESCRIPTION',
-            galleryDir: '$GALLERY_DIR'
-        };
+        const env = process.env;
+        const { readMetadata, sortByOrder } = require(env.GALLERY_ROOT + '/lib/metadata');
+        const { extractText } = require(env.GALLERY_ROOT + '/lib/search-index');
+        const { readScreens } = require(env.GALLERY_ROOT + '/lib/screens');
+        const { injectFeedbackWidget, fetchCommentCounts } = require(env.GALLERY_ROOT + '/lib/feedback');
+        const { injectNavigationBar, getNavigationTarget, NAVIGATION_FILE } = require(env.GALLERY_ROOT + '/lib/navigation');
+        const { getVisibility, loadPasswords, renderGate, missingPasswordError } = require(env.GALLERY_ROOT + '/lib/visibility');
+        const { MANIFEST_FILE } = require(env.GALLERY_ROOT + '/lib/manifest');
+        const { createGallery } = require(env.GALLERY_ROOT);
+
+        const galleryDir = env.GALLERY_OUTPUT_DIR;
 
         async function generateIndex() {
-            // Scan for prototypes - look for HTML files directly
+            const gallery = createGallery({ config: env.GALLERY_CONFIG_FILE || undefined });
+            const config = gallery.config;
+            const passwords = await loadPasswords(config.visibility.passwordsFile);
+
+            // Scan for prototypes - look for HTML files directly; folders with index.html are one prototype
             const prototypes = {};
+            const urls = {};
+            const searchIndex = {};
             
             async function scanDirectory(dir, category = '') {
                 const items = await fs.readdir(dir);
                 
+                // A folder with index.html is one prototype and its other pages are its screens
+                // (lib/screens.js), read before the pages below are modified
+                let flow = null;
+                if (dir !== galleryDir && items.includes('index.html')) {
+                    const folder = await readMetadata(path.join(dir, 'index.html'), path.join(dir, 'prototype.json'));
+                    const indexTitle = (await fs.readFile(path.join(dir, 'index.html'), 'utf8')).match(/<title>(.*?)<\/title>/i);
+                    const name = folder.metadata.title || (indexTitle ? indexTitle[1].replace(/^.*?[-–—]\\s*/, '').trim() : '');
+                    const { screens, missing } = await readScreens(dir, { metadata: folder.metadata, name });
+                    missing.forEach(file => console.warn('⚠ ' + path.relative(galleryDir, dir) + ': \"screens\" lists missing page ' + file));
+                    const slug = path.relative(galleryDir, path.join(dir, 'index')).split(path.sep).join('/');
+                    flow = { slug, screens, headings: [], text: [], changedAt: null };
+                }
+                
                 for (const item of items) {
                     const itemPath = path.join(dir, item);
                     const stat = await fs.stat(itemPath);
@@ -258,149 +402,262 @@ generate_gallery_index() {
                         // This is an HTML file
                         const categoryName = category || 'general';
                         
-                        if (!prototypes[categoryName]) {
-                            prototypes[categoryName] = [];
-                        }
+                        // Metadata from <meta name=\"prototype:*\"> tags, plus prototype.json for index.html
+                        const manifestPath = item === 'index.html' ? path.join(dir, 'prototype.json') : null;
+                        const { metadata, errors } = await readMetadata(itemPath, manifestPath);
+                        errors.forEach(error => console.warn('⚠ Invalid prototype metadata in ' + error.file + ': ' + error.message));
                         
                         // Extract title from HTML if possible
                         const baseName = path.basename(item, '.html');
                         let title = baseName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+                        let content = { headings: [], text: '' };
+                        const relativePath = path.relative(galleryDir, itemPath).split(path.sep).join('/');
+                        const slug = relativePath.replace(/\.html$/, '');
+                        // Screens report feedback and navigate as their flow
+                        const entrySlug = flow ? flow.slug : slug;
+                        
+                        // Pages without a visibility of their own share the one of their folder's prototype;
+                        // passwords are stored under the folder, like for the CLIs
+                        let visibility = getVisibility(metadata, null);
+                        let passwordId = item === 'index.html' ? path.dirname(relativePath) : slug;
+                        if (!visibility && item !== 'index.html') {
+                            const folder = await readMetadata(path.join(dir, 'index.html'), path.join(dir, 'prototype.json'));
+                            visibility = getVisibility(folder.metadata, null);
+                            passwordId = visibility ? path.dirname(relativePath) : passwordId;
+                        }
+                        visibility = visibility || config.visibility.default;
                         
+                        const htmlContent = await fs.readFile(itemPath, 'utf8');
                         try {
-                            const htmlContent = await fs.readFile(itemPath, 'utf8');
                             const titleMatch = htmlContent.match(/<title>(.*?)<\/title>/i);
                             if (titleMatch) {
                                 title = titleMatch[1].replace(/^.*?[-–—]\\s*/, '').trim() || title;
                             }
-                        } catch (e) {}
+                            // Only public pages go into the published search index
+                            if (visibility === 'public') {
+                                content = extractText(htmlContent);
+                            }
+                        } catch (e) {
+                            // Use the default title and leave the page out of the search index
+                        }
+                        
+                        // The copies in the gallery dir get the feedback widget and the navigation bar
+                        // (linking to the gallery relative to the page), the sources stay untouched.
+                        // Password-protected pages are then replaced by the password gate.
+                        if (relativePath !== 'index.html') {
+                            let page = htmlContent;
+                            if (config.feedback.enabled) {
+                                page = injectFeedbackWidget(page, { endpoint: config.feedback.endpoint, prototype: entrySlug });
+                            }
+                            const galleryIndex = path.relative(dir, path.join(galleryDir, 'index.html')).split(path.sep).join('/');
+                            const galleryUrl = getNavigationTarget(config, galleryIndex, metadata);
+                            if (galleryUrl) {
+                                page = injectNavigationBar(page, { galleryUrl, feature: categoryName, prototype: entrySlug });
+                            }
+                            if (visibility === 'password') {
+                                if (!passwords[passwordId]) {
+                                    throw missingPasswordError(relativePath, passwordId);
+                                }
+                                page = renderGate(page, passwords[passwordId], { title: metadata.title || title });
+                            }
+                            if (page !== htmlContent) {
+                                await fs.writeFile(itemPath, page);
+                            }
+                        }
                         
-                        const relativePath = category ? path.join(category, item) : item;
+                        if (flow) {
+                            content.headings.forEach(heading => flow.headings.includes(heading) || flow.headings.push(heading));
+                            flow.text.push(content.text);
+                            flow.changedAt = [flow.changedAt, stat.mtime.toISOString()].sort().pop();
+                            if (item !== 'index.html') continue;
+                        }
                         
+                        if (!prototypes[categoryName]) {
+                            prototypes[categoryName] = [];
+                        }
                         prototypes[categoryName].push({
-                            name: title,
-                            slug: baseName,
+                            name: metadata.title || title,
+                            slug,
                             path: relativePath,
-                            url: './' + relativePath
+                            description: metadata.description || 'Interactive prototype',
+                            tags: metadata.tags || [],
+                            owner: metadata.owner || null,
+                            status: metadata.status || null,
+                            created: metadata.created || null,
+                            order: metadata.order ?? null,
+                            visibility,
+                            locked: visibility === 'password',
+                            screens: flow ? flow.screens : []
                         });
+                        urls[slug] = { url: './' + relativePath, changedAt: stat.mtime.toISOString() };
+                        searchIndex[slug] = content;
                     }
                 }
+                
+                if (flow && urls[flow.slug]) {
+                    urls[flow.slug].changedAt = flow.changedAt;
+                    searchIndex[flow.slug] = { headings: flow.headings, text: flow.text.filter(Boolean).join(' ').slice(0, 3000) };
+                }
             }
             
-            await scanDirectory(config.galleryDir);
+            await scanDirectory(galleryDir);
             
-            // Generate HTML
-            const html = \`<!DOCTYPE html>
-<html lang=\"en\">
-<head>
-    <meta charset=\"UTF-8\">
-    <meta name=\"viewport\" content=\"width=device-width, initial-scale=1.0\">
-    <title>\${config.projectTitle}</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            padding: 20px;
-            background: #f5f5f5;
-            line-height: 1.6;
-        }
-        .header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: 30px;
-            padding-bottom: 20px;
-            border-bottom: 2px solid #e0e0e0;
-        }
-        h1 { color: #333; font-size: 2.5em; font-weight: 300; }
-        .subtitle { color: #666; font-size: 1.1em; margin-top: 5px; }
-        .sync-status {
-            font-size: 12px; color: #666; background: white;
-            padding: 6px 12px; border-radius: 6px; border: 1px solid #ddd;
-        }
-        .feature-section { margin-bottom: 40px; }
-        .feature-title {
-            font-size: 1.4em; color: #555; margin-bottom: 15px;
-            padding-bottom: 8px; border-bottom: 1px solid #e0e0e0;
-            text-transform: capitalize;
-        }
-        .grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-            gap: 20px;
-        }
-        .tile {
-            background: white; border: 1px solid #ddd; border-radius: 8px;
-            padding: 20px; text-decoration: none; color: inherit;
-            transition: all 0.2s; position: relative;
-        }
-        .tile:hover {
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1);
-            transform: translateY(-2px);
-        }
-        .tile h3 {
-            font-size: 1.1em; margin-bottom: 8px; color: #0066cc;
-            font-weight: 500;
-        }
-        .tile p { color: #666; font-size: 0.9em; }
-        .status {
-            margin-top: 10px; font-size: 0.8em; color: #28a745;
-        }
-        .empty-state {
-            text-align: center; padding: 60px 20px; color: #666;
-        }
-        .empty-state h2 { margin-bottom: 10px; color: #999; }
-    </style>
-</head>
-<body>
-    <div class=\"header\">
-        <div>
-            <h1>\${config.projectTitle}</h1>
-            <div class=\"subtitle\">\${config.projectDescription}</div>
-        </div>
-        <div class=\"sync-status\">
-            Last updated: \${new Date().toLocaleString()}
-        </div>
-    </div>
-    
-    \${Object.keys(prototypes).length === 0 ? \`
-        <div class=\"empty-state\">
-            <h2>No prototypes found</h2>
-            <p>Add HTML files to your prototypes directory and redeploy.</p>
-        </div>
-    \` : Object.entries(prototypes).map(([category, items]) => \`
-        <div class=\"feature-section\">
-            <h2 class=\"feature-title\">\${category.replace(/-/g, ' ')}</h2>
-            <div class=\"grid\">
-                \${items.map(proto => \`
-                    <a href=\"\${proto.url}\" class=\"tile\">
-                        <h3>\${proto.name}</h3>
-                        <p>Interactive prototype</p>
-                        <div class=\"status\">✓ Available</div>
-                    </a>
-                \`).join('')}
-            </div>
-        </div>
-    \`).join('')}
-</body>
-</html>\`;
+            for (const category of Object.keys(prototypes)) {
+                prototypes[category] = sortByOrder(prototypes[category]);
+            }
+            
+            const commentCounts = config.feedback.enabled
+                ? await fetchCommentCounts(config.feedback.endpoint).catch(error => {
+                    console.warn('⚠ Could not load comment counts: ' + error.message);
+                    return null;
+                })
+                : null;
             
-            await fs.writeFile(path.join(config.galleryDir, 'index.html'), html);
+            await fs.writeFile(path.join(galleryDir, 'index.html'), gallery.renderGallery(prototypes, urls, { searchIndex, commentCounts }));
+            await fs.writeFile(path.join(galleryDir, NAVIGATION_FILE), gallery.renderNavigation(prototypes, urls));
+            await fs.writeFile(path.join(galleryDir, MANIFEST_FILE), gallery.renderManifest(prototypes, urls));
             console.log('Gallery index generated successfully');
         }
         
-        generateIndex().catch(console.error);
+        generateIndex().catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
     "
 
     log_success "Gallery index generated"
 }
 
+# Print what a deployment would do (--dry-run): every prototype, the gallery entries
+# that change and the files the fresh build directory would drop
+plan_deployment() {
+    GALLERY_ROOT="$SCRIPT_DIR" \
+    PLAN_SOURCE_DIR="$SOURCE_DIR" \
+    PLAN_GALLERY_DIR="$BUILD_DIR" \
+    PLAN_EXCLUDES="$(IFS=,; echo "${SYNC_EXCLUDES[*]}")" \
+    PLAN_JSON="$OUTPUT_JSON" \
+    node -e "
+        const path = require('path');
+        const fs = require('fs').promises;
+        const env = process.env;
+        const { printPlan } = require(env.GALLERY_ROOT + '/lib/plan');
+
+        const excludes = env.PLAN_EXCLUDES.split(',');
+        const isExcluded = (name) => excludes.some(pattern => pattern.startsWith('*')
+            ? name.endsWith(pattern.slice(1))
+            : name === pattern);
+
+        // Relative paths of all files below dir (excluded names are reported, not listed)
+        async function listFiles(dir, excluded = []) {
+            const files = [];
+
+            async function walk(current) {
+                let entries;
+                try {
+                    entries = await fs.readdir(current, { withFileTypes: true });
+                } catch {
+                    return;
+                }
+
+                for (const entry of entries) {
+                    const entryPath = path.join(current, entry.name);
+                    const relativePath = path.relative(dir, entryPath).split(path.sep).join('/');
+
+                    if (isExcluded(entry.name)) {
+                        excluded.push(relativePath);
+                    } else if (entry.isDirectory()) {
+                        await walk(entryPath);
+                    } else if (entry.isFile()) {
+                        files.push(relativePath);
+                    }
+                }
+            }
+
+            await walk(dir);
+            return files;
+        }
+
+        async function sameContent(a, b) {
+            try {
+                const [left, right] = await Promise.all([fs.readFile(a), fs.readFile(b)]);
+                return left.equals(right);
+            } catch {
+                return false;
+            }
+        }
+
+        async function plan() {
+            const excluded = [];
+            const sourceFiles = await listFiles(env.PLAN_SOURCE_DIR, excluded);
+            const galleryFiles = await listFiles(env.PLAN_GALLERY_DIR);
+            const sourceSet = new Set(sourceFiles);
+            const generated = ['index.html', 'vercel.json'];
+
+            const prototypes = [];
+            const gallery = [];
+
+            // Pages next to a folder's index.html are screens of that prototype, not entries of their own
+            const isScreen = (file) => file.includes('/') && path.posix.basename(file) !== 'index.html' &&
+                sourceSet.has(path.posix.dirname(file) + '/index.html');
+
+            for (const file of sourceFiles.filter(file => file.endsWith('.html') && !isScreen(file))) {
+                const slug = file.replace(/\.html$/, '');
+                const feature = file.includes('/') ? file.split('/')[0] : 'general';
+                const existing = galleryFiles.includes(file);
+                const screens = sourceFiles.filter(other => other.endsWith('.html') && isScreen(other) &&
+                    path.posix.dirname(other) === path.posix.dirname(file));
+                let unchanged = existing;
+                for (const page of [file, ...screens]) {
+                    unchanged = unchanged && await sameContent(
+                        path.join(env.PLAN_SOURCE_DIR, page),
+                        path.join(env.PLAN_GALLERY_DIR, page)
+                    );
+                }
+                const change = !existing ? 'add' : unchanged ? 'unchanged' : 'update';
+
+                // deploy.sh always redeploys the whole gallery
+                prototypes.push({
+                    slug,
+                    name: slug,
+                    feature,
+                    action: 'deploy',
+                    reason: change === 'add' ? 'new' : change === 'update' ? 'files changed' : 'unchanged (whole gallery is redeployed)'
+                });
+                gallery.push({ slug, name: slug, change });
+            }
+
+            excluded.forEach(file => prototypes.push({ slug: file, name: file, feature: null, action: 'exclude', reason: 'excluded' }));
+
+            const removed = galleryFiles.filter(file => !sourceSet.has(file) && !generated.includes(file));
+            removed
+                .filter(file => file.endsWith('.html') && !isScreen(file))
+                .forEach(file => gallery.push({ slug: file.replace(/\.html$/, ''), name: file, change: 'remove' }));
+
+            printPlan({
+                command: 'deploy.sh',
+                prototypes,
+                gallery,
+                prune: removed.map(file => ({ name: file, path: path.join(env.PLAN_GALLERY_DIR, file), reason: 'not in the source directory' }))
+            }, { json: env.PLAN_JSON === 'true' });
+        }
+
+        plan().catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+    "
+}
+
 # Create vercel configuration
 create_vercel_config() {
+    if [[ "$DEPLOY_PROVIDER" != "vercel" ]]; then
+        return
+    fi
+
     log_section "Creating Vercel configuration..."
 
-    cat > "$GALLERY_DIR/vercel.json" << EOF
+    cat > "$BUILD_DIR/vercel.json" << EOF
 {
-  "public": true,
   "cleanUrls": true,
   "trailingSlash": false
 }
@@ -409,52 +666,52 @@ EOF
     log_success "Vercel configuration created"
 }
 
-# Deploy to Vercel
-deploy_to_vercel() {
-    log_section "Deploying to Vercel..."
+# Deploy the gallery through the configured provider
+deploy_gallery() {
+    log_section "Deploying gallery ($DEPLOY_PROVIDER)..."
 
-    cd "$GALLERY_DIR"
-    
-    # Deploy with specific project name
     local deploy_output
-    deploy_output=$(vercel --prod --name="$VERCEL_PROJECT_NAME" --yes 2>&1)
-    local exit_code=$?
-    
-    if [[ "$VERBOSE" == "true" ]]; then
-        echo "$deploy_output"
-    fi
-    
-    if [[ $exit_code -eq 0 ]]; then
-        # Extract deployment URL
-        DEPLOYMENT_URL=$(echo "$deploy_output" | grep -o 'https://[^[:space:]]*\.vercel\.app' | head -1)
-        if [[ -n "$DEPLOYMENT_URL" ]]; then
-            log_success "Deployment successful!"
-            log_success "Gallery URL: $DEPLOYMENT_URL"
-        else
-            log_success "Deployment successful! Check Vercel dashboard for URL."
-        fi
-    else
+    if ! deploy_output=$(run_provider deploy "$BUILD_DIR" "$VERCEL_PROJECT_NAME" 2>&1); then
         log_error "Deployment failed"
         echo "$deploy_output"
         exit 1
     fi
-    
-    cd - > /dev/null
+
+    DEPLOYMENT_URL=$(echo "$deploy_output" | tail -1)
+    log_success "Deployment successful!"
+    log_success "Gallery URL: $DEPLOYMENT_URL"
 }
 
 # Main execution function
 main() {
-    log_header
-    
     parse_args "$@"
-    validate_inputs
+
+    if [[ "$OUTPUT_JSON" == "true" ]]; then
+        # Keep stdout for the JSON plan, log to stderr
+        exec 3>&1 1>&2
+    fi
+
+    log_header
     load_config
+    validate_inputs
+
+    if [[ "$DRY_RUN" == "true" ]]; then
+        log_section "Planning deployment (dry run)..."
+        if [[ "$OUTPUT_JSON" == "true" ]]; then
+            plan_deployment >&3
+        else
+            plan_deployment
+        fi
+        return
+    fi
+
     check_dependencies
+    validate_prototypes
     prepare_gallery
     sync_prototypes
     generate_gallery_index
     create_vercel_config
-    deploy_to_vercel
+    deploy_gallery
     
     log_section "Deployment complete! 🎉"
 }
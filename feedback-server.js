@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+/**
+ * Reference feedback collector
+ * Receives comments from the widget injected into prototypes (feedback.enabled) and stores
+ * them as JSON files in feedback.dir. Run it anywhere the prototypes can reach, then set
+ * feedback.endpoint to its URL.
+ *
+ * Run: npm run feedback-server [-- --feedback-port 4400 --feedback-dir ./feedback]
+ */
+
+const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { createFeedbackStore, startFeedbackServer } = require('./lib/feedback');
+
+async function main() {
+    const config = loadConfig({ argv: process.argv.slice(2) });
+    const store = createFeedbackStore(config.feedback.dir);
+
+    const server = await startFeedbackServer({
+        store,
+        port: config.feedback.port,
+        onComment: (comment) => {
+            console.log(`💬 ${comment.prototype}${comment.page ? ` (${comment.page})` : ''} - ${comment.name || 'Anonymous'}: ${comment.text.split('\n')[0]}`);
+        }
+    });
+
+    console.log(`✓ Feedback collector listening on http://localhost:${server.address().port}/`);
+    console.log(`  Storing comments in ${path.relative(process.cwd(), store.dir) || '.'}`);
+}
+
+main().catch(error => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,383 @@
+/**
+ * Types of the prototype gallery Node API (index.js)
+ */
+
+import type { Server } from 'http';
+
+export type Visibility = 'public' | 'unlisted' | 'password';
+
+/** Settings as in gallery.config.json (see the configuration table in the README) */
+export interface GallerySettings {
+    project?: {
+        name?: string;
+        title?: string;
+        description?: string;
+        contactEmail?: string;
+        githubRepo?: string;
+    };
+    prototypesDir?: string;
+    galleryDir?: string;
+    deploymentCache?: string;
+    vercelProjectPrefix?: string;
+    galleryProjectName?: string;
+    excludeDirs?: string[];
+    deployProvider?: ProviderSettings;
+    deployQueue?: { concurrency?: number; retries?: number; retryDelay?: number };
+    thumbnails?: { browserPath?: string; width?: number; height?: number };
+    validation?: { maxImageSize?: number };
+    gallery?: {
+        theme?: 'light' | 'dark' | 'compact';
+        templateDir?: string;
+        showDeploymentDates?: boolean;
+        enableSearch?: boolean;
+        url?: string;
+    };
+    navigation?: { enabled?: boolean };
+    visibility?: { default?: Visibility; passwordsFile?: string };
+    feedback?: { enabled?: boolean; endpoint?: string; dir?: string; port?: number };
+    feed?: { limit?: number };
+    hub?: { sources?: string[]; output?: string; title?: string; description?: string };
+    /** Shell commands or paths of JS modules (.js, .cjs, .mjs) per hook */
+    hooks?: { [name in HookName]?: string | string[] } & { timeout?: number };
+    notify?: { webhook?: string; format?: 'json' | 'slack' | 'teams'; onError?: boolean };
+}
+
+/** Settings of a deploy provider (deployProvider in gallery.config.json) */
+export interface ProviderSettings {
+    type?: 'vercel' | 'local' | 'command';
+    timeout?: number;
+    [option: string]: unknown;
+}
+
+/** A deploy provider (lib/providers) */
+export interface Provider {
+    type?: string;
+    /** Resolves with status messages; throws (with an optional hint) when the provider is unusable */
+    check(): Promise<string[]>;
+    /** Resolves with the public URL of the deployed directory; signal is aborted when the attempt times out (deployProvider.timeout) */
+    deploy(options: { dir: string; name: string; signal?: AbortSignal }): Promise<string>;
+    remove?(options: { name: string }): Promise<void>;
+    /** The URL deploy() will return for name, when it is known before deploying */
+    getUrl?(options: { name: string }): string | null;
+}
+
+/** Where progress is reported; missing methods fall back to info (so `console` works) */
+export interface Logger {
+    colors?: boolean;
+    info?(message: string): void;
+    success?(message: string): void;
+    warning?(message: string): void;
+    error?(message: string): void;
+    section?(message: string): void;
+    item?(message: string): void;
+    /** Preformatted output: tables and validation reports */
+    print?(message: string): void;
+}
+
+export type HookName = 'beforeScan' | 'beforeDeploy' | 'afterDeploy' | 'afterGallery' | 'onError';
+
+/** Deployment as it appears in hook payloads: the error as its one-line reason */
+export type HookDeployment = Omit<DeploymentResult, 'error'> & { error: string | null };
+
+interface HookPayloadBase {
+    hook: HookName;
+    project: { name: string | null; title: string };
+    /** ISO date */
+    timestamp: string;
+}
+
+/** The JSON payload each hook gets (shell commands on stdin) */
+export interface HookPayloads {
+    beforeScan: HookPayloadBase & { prototypesDir: string };
+    beforeDeploy: HookPayloadBase & {
+        galleryUrl: string | null;
+        prototypes: Array<{ slug: string; name: string; feature: string; change: 'new' | 'updated'; reason: string }>;
+    };
+    afterDeploy: HookPayloadBase & { galleryUrl: string | null; deployments: HookDeployment[] };
+    afterGallery: HookPayloadBase & {
+        galleryUrl: string | null;
+        galleryDeployed: boolean;
+        deployments: HookDeployment[];
+        summary: { prototypes: number; new: number; updated: number; failed: number };
+    };
+    onError: HookPayloadBase & {
+        galleryUrl: string | null;
+        /** true when the sync threw, false when it finished with failed deployments */
+        stopped: boolean;
+        /** slug is null for the gallery and for errors that stopped the sync */
+        errors: Array<{ slug: string | null; name: string; message: string; code: ErrorCode | null }>;
+    };
+}
+
+/** A hook function; a rejected before* hook stops the sync with a HookError, later ones only warn */
+export type Hook<Name extends HookName = HookName> = (
+    payload: HookPayloads[Name],
+    context: { hook: Name; config: GalleryConfig; logger: Required<Logger> }
+) => void | Promise<void>;
+
+export interface GalleryOptions {
+    /** Directory searched for gallery.config.json and base of relative paths (default: process.cwd()) */
+    cwd?: string;
+    /** Config file, or false to read none (default: gallery.config.json in cwd, or $GALLERY_CONFIG) */
+    config?: string | false;
+    /** Environment variables to read settings from (default: process.env; {} for none) */
+    env?: Record<string, string | undefined>;
+    /** CLI-style flags (--theme dark) */
+    argv?: string[];
+    /** Settings applied over the config file, environment and flags */
+    settings?: GallerySettings;
+    prototypesDir?: string;
+    galleryDir?: string;
+    deploymentCache?: string;
+    /** Provider settings (merged into deployProvider) or a provider object */
+    provider?: ProviderSettings | Provider;
+    /** Default: colored console output; false: silent */
+    logger?: Logger | false;
+    /** Functions run after the hooks of the configuration */
+    hooks?: { [Name in HookName]?: Hook<Name> | Array<Hook<Name>> };
+}
+
+/** The resolved settings */
+export type GalleryConfig = Required<GallerySettings> & { readonly configFile?: string | null };
+
+export interface Prototype {
+    name: string;
+    slug: string;
+    path: string;
+    description: string;
+    tags: string[];
+    owner: string | null;
+    status: string | null;
+    created: string | null;
+    order: number | null;
+    visibility: Visibility;
+    navigation: boolean;
+    /** Top-level pages in flow order, index.html first unless "screens" says otherwise; more than one: a multi-screen flow */
+    screens: Screen[];
+}
+
+/** A page of a prototype */
+export interface Screen {
+    /** Path relative to the prototype folder, with forward slashes */
+    file: string;
+    title: string;
+}
+
+/** Scanned prototypes by feature, in gallery order */
+export type PrototypesByFeature = Record<string, Prototype[]>;
+
+export interface SkippedFolder {
+    path: string;
+    reason: string;
+}
+
+export interface ScanResult {
+    prototypes: PrototypesByFeature;
+    skipped: SkippedFolder[];
+}
+
+export interface Version {
+    version: number;
+    url: string;
+    timestamp: string | null;
+    digest: string | null;
+    note?: string;
+}
+
+/** Entry of the deployment cache, by prototype slug */
+export interface Deployment {
+    url: string;
+    timestamp?: string;
+    changedAt?: string;
+    thumbnail?: string | null;
+    versions?: Version[];
+    activeVersion?: number;
+    [key: string]: unknown;
+}
+
+export interface PlanResult {
+    command: 'sync';
+    prototypes: Array<{ slug: string; name: string; feature: string | null; action: 'deploy' | 'skip' | 'exclude'; reason: string }>;
+    gallery: Array<{ slug: string; name: string; change: 'add' | 'update' | 'unchanged' | 'hidden' | 'remove' }>;
+    prune: Array<{ name: string; url: string; reason: string }>;
+}
+
+export interface DeploymentResult {
+    slug: string;
+    name: string;
+    feature: string;
+    /** Whether the prototype was deployed before */
+    change: 'new' | 'updated';
+    /** null when the deployment failed */
+    url: string | null;
+    error: Error | null;
+    attempts: number;
+    /** Milliseconds */
+    duration: number;
+}
+
+export interface SyncResult {
+    prototypes: PrototypesByFeature;
+    skipped: SkippedFolder[];
+    /** Prototypes deployed in this run (new or changed), successful or not */
+    deployments: DeploymentResult[];
+    deployed: number;
+    failed: number;
+    galleryDeployed: boolean;
+    galleryUrl: string | null;
+    /** Failed deployments; slug is null for the gallery */
+    errors: Array<{ slug: string | null; name: string; error: Error }>;
+}
+
+export interface ValidationIssue {
+    severity: 'error' | 'warning';
+    rule: string;
+    message: string;
+    file: string | null;
+    line: number | null;
+}
+
+export interface ValidationReport {
+    command: 'validate';
+    prototypes: Array<{ slug: string; name: string; path: string; issues: ValidationIssue[] }>;
+}
+
+export interface ExportResult {
+    html: string;
+    inlined: string[];
+    external: string[];
+    modules: string[];
+    pages: string[];
+    missing: string[];
+}
+
+export interface HistoryResult {
+    slug: string;
+    name: string;
+    /** Newest first */
+    versions: Array<Version & { active: boolean }>;
+    activeVersion: number;
+    rolledBack: boolean;
+}
+
+export interface FeedbackComment {
+    id: string;
+    prototype: string;
+    page?: string;
+    name?: string;
+    text: string;
+    createdAt: string;
+    [key: string]: unknown;
+}
+
+export interface PruneResult {
+    /** Slugs of cache entries without a prototype folder */
+    orphans: string[];
+    removed: string[];
+    failed: string[];
+    cancelled: boolean;
+}
+
+export interface Gallery {
+    readonly config: GalleryConfig;
+    /** Throws a DependencyError when the provider is unusable or prototypesDir is missing */
+    checkDependencies(): Promise<string[]>;
+    scan(): Promise<ScanResult>;
+    /** What sync() would do, without deploying or writing anything */
+    plan(options?: { force?: boolean }): Promise<PlanResult>;
+    /** Deploy new and changed prototypes, then generate and deploy the gallery. Throws a ValidationError when validation errors stop it, a HookError when a before* hook fails */
+    sync(options?: { note?: string; force?: boolean }): Promise<SyncResult>;
+    /** Deploy one prototype (slug, name or folder), changed or not, and record it in the deployment cache; the gallery is updated by the next sync. Throws a ValidationError unless forced, and the deployment's error when it fails */
+    deploy(query: string, options?: { note?: string; force?: boolean }): Promise<Omit<DeploymentResult, 'error'>>;
+    /** The deployment cache, by prototype slug */
+    deployments(): Promise<Record<string, Deployment>>;
+    /** All prototypes, or the one matching query (slug, name or folder) */
+    validate(query?: string): Promise<ValidationReport>;
+    /** Regenerate the gallery from the deployment cache (or the given prototypes and deployments), without deploying */
+    generate(options?: {
+        prototypes?: PrototypesByFeature;
+        deployments?: Record<string, Deployment>;
+        searchIndex?: Record<string, { headings: string[]; text: string }>;
+    }): Promise<{ dir: string; files: string[] }>;
+    exportPrototype(query: string, options?: { output?: string }): Promise<ExportResult>;
+    exportGallery(options?: { output?: string }): Promise<{ output: string; prototypes: number; files: number }>;
+    hub(sources?: string[], options?: { output?: string }): Promise<{ output: string; projects: number; failed: number }>;
+    history(query: string): Promise<HistoryResult>;
+    feedback(query: string, options?: { exportFile?: string }): Promise<{ slug: string; name: string; comments: FeedbackComment[] }>;
+    /** Point the gallery at an earlier version (default: the one before the active version) and redeploy it */
+    rollback(query: string, version?: string | number): Promise<{ slug: string; version: number; url: string; galleryDeployed: boolean }>;
+    /** Set the password of a prototype, or remove it (null); gated: whether its visibility is "password" */
+    password(query: string, password: string | null): Promise<{ slug: string; name: string; id: string; file: string; gated: boolean }>;
+    /** Without yes, confirm(question) decides; without either it throws a UsageError */
+    prune(options?: { yes?: boolean; remote?: boolean; dryRun?: boolean; confirm?: ((question: string) => Promise<boolean>) | null }): Promise<PruneResult>;
+    serve(options?: { port?: number }): Promise<Server>;
+    renderGallery(prototypes: PrototypesByFeature, deployments: Record<string, Deployment>, extras?: {
+        searchIndex?: Record<string, { headings: string[]; text: string }>;
+        commentCounts?: Record<string, number> | null;
+        feed?: string | null;
+    }): string;
+    renderNavigation(prototypes: PrototypesByFeature, deployments: Record<string, Deployment>): string;
+    renderManifest(prototypes: PrototypesByFeature, deployments: Record<string, Deployment>, galleryUrl?: string | null): string;
+    renderFeed(prototypes: PrototypesByFeature, deployments: Record<string, Deployment>, galleryUrl?: string | null): string;
+}
+
+export function createGallery(options?: GalleryOptions): Gallery;
+
+export function loadConfig(options?: {
+    cwd?: string;
+    file?: string | false;
+    argv?: string[];
+    env?: Record<string, string | undefined>;
+    overrides?: GallerySettings;
+    warn?: (message: string) => void;
+}): GalleryConfig;
+
+export function createConsoleLogger(options?: { stderr?: boolean; colors?: boolean }): Required<Logger>;
+
+export type ErrorCode =
+    | 'GALLERY_ERROR'
+    | 'CONFIG_INVALID'
+    | 'DEPENDENCY_MISSING'
+    | 'NOT_FOUND'
+    | 'INVALID_ARGUMENT'
+    | 'VALIDATION_FAILED'
+    | 'PASSWORD_MISSING'
+    | 'HOOK_FAILED';
+
+export class GalleryError extends Error {
+    code: ErrorCode;
+    /** Lines telling the user how to fix it */
+    hint?: string[];
+}
+
+export class ConfigError extends GalleryError {
+    code: 'CONFIG_INVALID';
+    /** Every problem found */
+    errors?: string[];
+}
+
+export class DependencyError extends GalleryError {
+    code: 'DEPENDENCY_MISSING';
+}
+
+export class NotFoundError extends GalleryError {
+    code: 'NOT_FOUND';
+}
+
+export class UsageError extends GalleryError {
+    code: 'INVALID_ARGUMENT';
+}
+
+export class ValidationError extends GalleryError {
+    code: 'VALIDATION_FAILED';
+    report: ValidationReport;
+}
+
+export class PasswordError extends GalleryError {
+    code: 'PASSWORD_MISSING';
+}
+
+export class HookError extends GalleryError {
+    code: 'HOOK_FAILED';
+    hook: HookName;
+}
@@ -0,0 +1,114 @@
+/**
+ * Prototype gallery Node API
+ * The library behind sync-prototypes.js, for build scripts that deploy prototypes or generate
+ * the gallery themselves:
+ *
+ *   const { createGallery } = require('prototype-gallery-system');
+ *
+ *   const gallery = createGallery({ prototypesDir: './prototypes', provider: { type: 'local', targetDir: './public' } });
+ *   const { deployments, failed } = await gallery.sync({ note: 'Sprint 12' });
+ *
+ * Settings are read like the CLI reads them (gallery.config.json, environment, see lib/config.js),
+ * then the options given here are applied. Methods never exit the process: failures are
+ * reported in their results or thrown as the errors in lib/errors.js. Types: index.d.ts.
+ *
+ * Each gallery has an engine of its own (lib/gallery.js) bound to its settings, logger and
+ * provider, so galleries never see each other's settings. The calls of one gallery run one
+ * after another, in the order they were made, since they share its files.
+ */
+
+const { loadConfig } = require('./lib/config');
+const { createConsoleLogger, normalizeLogger } = require('./lib/logger');
+const { HOOKS } = require('./lib/hooks');
+const { createEngine } = require('./lib/gallery');
+const errors = require('./lib/errors');
+
+// Settings of a gallery from the options of createGallery()
+function resolveSettings(options) {
+    const overrides = { ...options.settings };
+    for (const key of ['prototypesDir', 'galleryDir', 'deploymentCache']) {
+        if (options[key] !== undefined) overrides[key] = options[key];
+    }
+
+    // A provider is either deployProvider settings or an object with deploy() (lib/providers)
+    const provider = options.provider && typeof options.provider.deploy === 'function' ? options.provider : null;
+    if (options.provider && !provider) {
+        overrides.deployProvider = { ...overrides.deployProvider, ...options.provider };
+    }
+
+    const config = loadConfig({
+        cwd: options.cwd,
+        file: options.config,
+        env: options.env,
+        argv: options.argv,
+        overrides
+    });
+    return { config, provider };
+}
+
+// Hook functions by name ({ afterDeploy: fn | [fn] }), run after the configured hooks
+function resolveHooks(hooks = {}) {
+    for (const [name, handlers] of Object.entries(hooks)) {
+        if (!HOOKS.includes(name)) {
+            throw new errors.UsageError(`Unknown hook "${name}" (hooks are: ${HOOKS.join(', ')})`);
+        }
+        if (![].concat(handlers).every(handler => typeof handler === 'function')) {
+            throw new errors.UsageError(`hooks.${name} must be a function or an array of functions`);
+        }
+    }
+    return hooks;
+}
+
+// Create a gallery. options: { cwd, config (file, false: none), env, argv, settings,
+// prototypesDir, galleryDir, deploymentCache, provider, logger (false: silent), hooks }
+function createGallery(options = {}) {
+    const { config, provider } = resolveSettings(options);
+    const hooks = resolveHooks(options.hooks);
+    const logger = options.logger === undefined
+        ? createConsoleLogger({ colors: Boolean(process.stdout.isTTY) })
+        : normalizeLogger(options.logger);
+    const engine = createEngine({ config, logger, provider, hooks });
+
+    // Calls of this gallery, one at a time
+    let queue = Promise.resolve();
+    const run = (task) => {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    };
+
+    return {
+        config,
+        checkDependencies: () => run(() => engine.checkDependencies()),
+        scan: () => run(async () => {
+            const skipped = [];
+            const prototypes = await engine.scanPrototypes(skipped);
+            return { prototypes, skipped };
+        }),
+        plan: (options) => run(() => engine.planSync(options)),
+        sync: (options) => run(() => engine.syncPrototypes(options)),
+        deploy: (query, options) => run(() => engine.deploySinglePrototype(query, options)),
+        deployments: () => run(() => engine.loadDeploymentCache()),
+        validate: (query) => run(() => engine.validatePrototypes(query)),
+        generate: ({ prototypes, deployments, searchIndex } = {}) => run(async () => engine.generateGallery(
+            prototypes || await engine.scanPrototypes(),
+            deployments || await engine.loadDeploymentCache(),
+            searchIndex
+        )),
+        exportPrototype: (query, options) => run(() => engine.exportPrototype(query, options)),
+        exportGallery: (options) => run(() => engine.exportGallery(options)),
+        hub: (sources, options) => run(() => engine.generateHub(sources, options)),
+        history: (query) => run(() => engine.getHistory(query)),
+        feedback: (query, options) => run(() => engine.getFeedback(query, options)),
+        rollback: (query, version) => run(() => engine.rollbackPrototype(query, version)),
+        password: (query, password) => run(() => engine.setPrototypePassword(query, password)),
+        prune: (options) => run(() => engine.pruneDeployments(options)),
+        serve: ({ port = 3000 } = {}) => run(() => engine.servePrototypes(port)),
+        renderGallery: (prototypes, deployments, extras) => engine.renderGallery(prototypes, deployments, extras),
+        renderNavigation: (prototypes, deployments) => engine.renderNavigation(prototypes, deployments),
+        renderManifest: (prototypes, deployments, galleryUrl) => engine.renderManifest(prototypes, deployments, galleryUrl),
+        renderFeed: (prototypes, deployments, galleryUrl) => engine.renderFeed(prototypes, deployments, galleryUrl)
+    };
+}
+
+module.exports = { createGallery, loadConfig, createConsoleLogger, ...errors };
@@ -0,0 +1,635 @@
+/**
+ * Gallery configuration
+ * One gallery.config.json (or gallery.config.js) shared by sync-prototypes.js,
+ * prototype-manager/cli.js and deploy.sh.
+ *
+ * Precedence: defaults < config file < environment variables < CLI flags < overrides
+ * (settings passed to the Node API, see index.js).
+ * Every option can be set with the environment variable listed in SCHEMA or with
+ * a flag derived from its key (gallery.theme → --gallery-theme, plus the aliases below).
+ *
+ * Legacy bash .gallery-config files (KEY="value" lines) are still read, using the
+ * same variable names as the environment overrides.
+ *
+ * Run directly to print the resolved configuration (--shell: as exported bash variables):
+ *   node lib/config.js [--config <file>] [--shell]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROVIDERS } = require('./providers');
+const { THEMES, THEME_ALIASES } = require('./templates');
+const { VISIBILITIES } = require('./visibility');
+const { isModulePath } = require('./hooks');
+const { WEBHOOK_FORMATS } = require('./hooks/webhook');
+const { ConfigError } = require('./errors');
+
+const CONFIG_FILES = ['gallery.config.json', 'gallery.config.js'];
+
+// Dotted key → { type, default, env, alias, values, description }
+const SCHEMA = {
+    'project.name': {
+        type: 'string', default: null, env: 'PROJECT_NAME',
+        description: 'Unique identifier for the project'
+    },
+    'project.title': {
+        type: 'string', default: 'Prototype Gallery', env: 'PROJECT_TITLE',
+        description: 'Gallery heading and page title'
+    },
+    'project.description': {
+        type: 'string', default: null, env: 'PROJECT_DESCRIPTION',
+        description: 'Subtitle shown under the gallery heading'
+    },
+    'project.contactEmail': {
+        type: 'string', default: null, env: 'CONTACT_EMAIL',
+        description: 'Contact link in the gallery header'
+    },
+    'project.githubRepo': {
+        type: 'string', default: null, env: 'GITHUB_REPO',
+        description: 'Repository link in the gallery header'
+    },
+    prototypesDir: {
+        type: 'path', default: './prototypes', env: 'PROTOTYPES_DIR', alias: '--source-dir',
+        description: 'Directory containing the prototypes'
+    },
+    galleryDir: {
+        type: 'path', default: './gallery', env: 'GALLERY_DIR',
+        description: 'Directory the gallery is generated into'
+    },
+    deploymentCache: {
+        type: 'path', default: null, env: 'DEPLOYMENT_CACHE',
+        description: 'Deployment cache file (default: <galleryDir>/deployments.json)'
+    },
+    vercelProjectPrefix: {
+        type: 'string', default: 'prototype-', env: 'PROJECT_PREFIX',
+        description: 'Prefix of per-prototype deployment names'
+    },
+    galleryProjectName: {
+        type: 'string', default: null, env: 'VERCEL_PROJECT_NAME',
+        description: 'Deployment name of the gallery (default: project.name or "prototype-gallery")'
+    },
+    excludeDirs: {
+        type: 'string[]', default: ['node_modules', '.git', '.DS_Store', '.vercel'], env: 'EXCLUDE_DIRS',
+        description: 'File and folder names ignored when scanning and hashing'
+    },
+    'deployProvider.type': {
+        type: 'enum', values: Object.keys(PROVIDERS), default: 'vercel', env: 'DEPLOY_PROVIDER', alias: '--provider',
+        description: 'Where deployments go'
+    },
+    'deployProvider.targetDir': {
+        type: 'path', default: null, env: 'DEPLOY_TARGET_DIR', alias: '--target-dir',
+        description: 'Directory to publish into (local provider)'
+    },
+    'deployProvider.baseUrl': {
+        type: 'string', default: null, env: 'DEPLOY_BASE_URL',
+        description: 'Public URL of the target directory (local provider)'
+    },
+    'deployProvider.command': {
+        type: 'string', default: null, env: 'DEPLOY_COMMAND',
+        description: 'Deploy command printing the URL; {dir} and {name} are substituted (command provider)'
+    },
+    'deployProvider.removeCommand': {
+        type: 'string', default: null, env: 'DEPLOY_REMOVE_COMMAND',
+        description: 'Command removing a deployment, used by prune --remote; {name} is substituted (command provider)'
+    },
+    'deployProvider.urlPattern': {
+        type: 'string', default: null, env: 'DEPLOY_URL_PATTERN',
+        description: 'Regex used to find the URL in the command output (command provider)'
+    },
+    'deployProvider.timeout': {
+        type: 'number', default: 60000, env: 'DEPLOY_TIMEOUT', min: 1,
+        description: 'Timeout of a single deployment attempt in milliseconds'
+    },
+    'deployQueue.concurrency': {
+        type: 'number', default: 4, env: 'DEPLOY_CONCURRENCY', alias: '--concurrency', min: 1,
+        description: 'Number of prototypes deployed at the same time'
+    },
+    'deployQueue.retries': {
+        type: 'number', default: 2, env: 'DEPLOY_RETRIES', alias: '--retries', min: 0,
+        description: 'Retries of a deployment that failed with a transient error (timeout, network, rate limit)'
+    },
+    'deployQueue.retryDelay': {
+        type: 'number', default: 2000, env: 'DEPLOY_RETRY_DELAY', min: 0,
+        description: 'Delay before the first retry in milliseconds; doubles with every further retry'
+    },
+    'thumbnails.browserPath': {
+        type: 'path', default: null, env: 'CHROME_PATH',
+        description: 'Chrome/Chromium used to render thumbnails (default: auto-detect)'
+    },
+    'thumbnails.width': {
+        type: 'number', default: 1280, env: 'THUMBNAIL_WIDTH',
+        description: 'Screenshot viewport width'
+    },
+    'thumbnails.height': {
+        type: 'number', default: 800, env: 'THUMBNAIL_HEIGHT',
+        description: 'Screenshot viewport height'
+    },
+    'validation.maxImageSize': {
+        type: 'number', default: 1024, env: 'VALIDATION_MAX_IMAGE_SIZE', min: 0,
+        description: 'Images larger than this many KB get a validation warning (0: no limit)'
+    },
+    'gallery.theme': {
+        type: 'enum', values: [...Object.keys(THEMES), ...Object.keys(THEME_ALIASES)], default: 'light', env: 'GALLERY_THEME', alias: '--theme',
+        description: 'Gallery theme: light, dark or compact ("default" is light)'
+    },
+    'gallery.templateDir': {
+        type: 'path', default: null, env: 'GALLERY_TEMPLATE_DIR', alias: '--template-dir',
+        description: 'Project template directory with theme.css and/or partials.js overriding the built-in templates'
+    },
+    'gallery.showDeploymentDates': {
+        type: 'boolean', default: true, env: 'SHOW_DEPLOYMENT_DATES',
+        description: 'Show the last deployment date on each tile'
+    },
+    'gallery.enableSearch': {
+        type: 'boolean', default: true, env: 'ENABLE_SEARCH',
+        description: 'Enable the ⌘K command palette'
+    },
+    'gallery.url': {
+        type: 'string', default: null, env: 'GALLERY_URL',
+        description: 'Public URL of the gallery, linked from the navigation bar (default: URL of the last gallery deployment)'
+    },
+    'feed.limit': {
+        type: 'number', default: 50, env: 'FEED_LIMIT', min: 0,
+        description: 'Newest updates kept in feed.xml (0: all)'
+    },
+    'hub.sources': {
+        type: 'string[]', default: [], env: 'HUB_SOURCES',
+        description: 'Galleries listed on the hub page: manifest.json files, gallery folders or gallery URLs'
+    },
+    'hub.output': {
+        type: 'path', default: './public/index.html', env: 'HUB_OUTPUT',
+        description: 'File the hub command writes the hub page to'
+    },
+    'hub.title': {
+        type: 'string', default: 'Prototype Hub', env: 'HUB_TITLE',
+        description: 'Heading and page title of the hub page'
+    },
+    'hub.description': {
+        type: 'string', default: null, env: 'HUB_DESCRIPTION',
+        description: 'Subtitle of the hub page'
+    },
+    'scaffold.templatesDir': {
+        type: 'path', default: './templates', env: 'PROTOTYPE_TEMPLATES_DIR',
+        description: 'Project templates for new prototypes (prototype-manager: npm run new), next to the built-in ones'
+    },
+    'navigation.enabled': {
+        type: 'boolean', default: true, env: 'NAVIGATION_ENABLED', alias: '--navigation',
+        description: 'Inject the gallery navigation bar (gallery link, previous/next prototype) into deployed prototypes'
+    },
+    'visibility.default': {
+        type: 'enum', values: VISIBILITIES, default: 'public', env: 'VISIBILITY_DEFAULT',
+        description: 'Visibility of prototypes without "visibility" in prototype.json: public, unlisted or password'
+    },
+    'visibility.passwordsFile': {
+        type: 'path', default: './gallery-passwords.json', env: 'GALLERY_PASSWORDS_FILE',
+        description: 'Hashed prototype passwords, managed with the password command of prototype-manager'
+    },
+    'feedback.enabled': {
+        type: 'boolean', default: false, env: 'FEEDBACK_ENABLED', alias: '--feedback',
+        description: 'Inject the feedback widget into deployed prototypes and show comment counts in the gallery'
+    },
+    'feedback.endpoint': {
+        type: 'string', default: null, env: 'FEEDBACK_ENDPOINT',
+        description: 'URL of the feedback collector the widget posts comments to'
+    },
+    'feedback.dir': {
+        type: 'path', default: './feedback', env: 'FEEDBACK_DIR',
+        description: 'Where the bundled collector (feedback-server.js) stores comments'
+    },
+    'feedback.port': {
+        type: 'number', default: 4400, env: 'FEEDBACK_PORT', min: 0,
+        description: 'Port of the bundled collector'
+    },
+    'hooks.beforeScan': {
+        type: 'command[]', default: [], env: 'HOOK_BEFORE_SCAN',
+        description: 'Shell commands or JS modules run before the prototypes directory is scanned'
+    },
+    'hooks.beforeDeploy': {
+        type: 'command[]', default: [], env: 'HOOK_BEFORE_DEPLOY',
+        description: 'Shell commands or JS modules run before new and changed prototypes are deployed; a failure stops the sync'
+    },
+    'hooks.afterDeploy': {
+        type: 'command[]', default: [], env: 'HOOK_AFTER_DEPLOY',
+        description: 'Shell commands or JS modules run after prototypes were deployed'
+    },
+    'hooks.afterGallery': {
+        type: 'command[]', default: [], env: 'HOOK_AFTER_GALLERY',
+        description: 'Shell commands or JS modules run after the gallery was generated and deployed'
+    },
+    'hooks.onError': {
+        type: 'command[]', default: [], env: 'HOOK_ON_ERROR',
+        description: 'Shell commands or JS modules run when deployments fail or the sync stops with an error'
+    },
+    'hooks.timeout': {
+        type: 'number', default: 60000, env: 'HOOK_TIMEOUT', min: 0,
+        description: 'Milliseconds a hook may run before it fails (0: no limit)'
+    },
+    'notify.webhook': {
+        type: 'string', default: null, env: 'NOTIFY_WEBHOOK',
+        description: 'URL the webhook notifier posts new and updated prototype URLs to after each sync'
+    },
+    'notify.format': {
+        type: 'enum', values: WEBHOOK_FORMATS, default: 'json', env: 'NOTIFY_FORMAT',
+        description: 'Message format of the webhook notifier: json, slack or teams'
+    },
+    'notify.onError': {
+        type: 'boolean', default: true, env: 'NOTIFY_ON_ERROR',
+        description: 'Also notify the webhook when deployments fail or the sync stops with an error'
+    }
+};
+
+// gallery.showDeploymentDates → --gallery-show-deployment-dates
+function flagName(key) {
+    return '--' + key.replace(/\./g, '-').replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+}
+
+const FLAGS = {};
+for (const [key, spec] of Object.entries(SCHEMA)) {
+    FLAGS[flagName(key)] = key;
+    if (spec.alias) {
+        FLAGS[spec.alias] = key;
+    }
+}
+
+// Edit distance, used to suggest the key that was probably meant
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestKey(key) {
+    const [best] = Object.keys(SCHEMA)
+        .map(candidate => ({ candidate, score: distance(key.toLowerCase(), candidate.toLowerCase()) }))
+        .sort((a, b) => a.score - b.score);
+    return best && best.score <= 3 ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+// Convert a value from a file (any JSON type) or env/flag (string) to the key's type
+function coerce(key, value, fromString, errors, source) {
+    const spec = SCHEMA[key];
+    const fail = (expected) => {
+        errors.push(`${source}: "${key}" must be ${expected}, got ${JSON.stringify(value)}`);
+        return undefined;
+    };
+
+    if (value === null) {
+        return null;
+    }
+
+    switch (spec.type) {
+        case 'string':
+        case 'path':
+            return typeof value === 'string' ? value : fail('a string');
+
+        case 'number': {
+            const number = fromString ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number) || value === '') {
+                return fail('a number');
+            }
+            return spec.min === undefined || number >= spec.min ? number : fail(`a number >= ${spec.min}`);
+        }
+
+        case 'boolean':
+            if (fromString) {
+                const normalized = String(value).toLowerCase();
+                if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+                if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+            } else if (typeof value === 'boolean') {
+                return value;
+            }
+            return fail('true or false');
+
+        case 'string[]':
+            if (fromString) {
+                return String(value).split(',').map(item => item.trim()).filter(Boolean);
+            }
+            return Array.isArray(value) && value.every(item => typeof item === 'string')
+                ? value
+                : fail('an array of strings');
+
+        // Shell commands contain commas, so variables and flags hold one command per line
+        case 'command[]':
+            if (fromString) {
+                return String(value).split('\n').map(item => item.trim()).filter(Boolean);
+            }
+            if (typeof value === 'string') {
+                return [value];
+            }
+            return Array.isArray(value) && value.every(item => typeof item === 'string')
+                ? value
+                : fail('a command or an array of commands');
+
+        case 'enum':
+            return spec.values.includes(value) ? value : fail(`one of ${spec.values.join(', ')}`);
+
+        default:
+            return value;
+    }
+}
+
+// Flatten a nested config object to dotted keys, reporting unknown keys
+function flatten(object, source, errors, prefix = '') {
+    const values = {};
+
+    for (const [name, value] of Object.entries(object)) {
+        const key = prefix ? `${prefix}.${name}` : name;
+
+        if (key in SCHEMA) {
+            values[key] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)
+            && Object.keys(SCHEMA).some(schemaKey => schemaKey.startsWith(key + '.'))) {
+            Object.assign(values, flatten(value, source, errors, key));
+        } else if (key !== '$schema') {
+            errors.push(`${source}: unknown key "${key}"${suggestKey(key)}`);
+        }
+    }
+
+    return values;
+}
+
+// Parse a legacy bash .gallery-config (KEY="value" lines) into env-style variables
+function parseShellConfig(content) {
+    const variables = {};
+
+    for (const line of content.split('\n')) {
+        const match = line.match(/^\s*(?:export\s+)?([A-Z_][A-Z0-9_]*)=(.*)$/);
+        if (!match) continue;
+
+        let value = match[2].trim();
+        if (/^"/.test(value)) {
+            value = value.replace(/^"((?:[^"\\]|\\.)*)".*$/, '$1').replace(/\\(.)/g, '$1');
+        } else if (/^'/.test(value)) {
+            value = value.replace(/^'([^']*)'.*$/, '$1');
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+        variables[match[1]] = value;
+    }
+
+    return variables;
+}
+
+// Find the config file: explicit path, then gallery.config.json / .js in cwd
+function findConfigFile(file, cwd) {
+    if (file) {
+        const resolved = path.resolve(cwd, file);
+        if (!fs.existsSync(resolved)) {
+            throw new ConfigError(`Configuration file not found: ${resolved}`);
+        }
+        return resolved;
+    }
+
+    for (const name of CONFIG_FILES) {
+        const candidate = path.join(cwd, name);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+// Read the values of a config file as dotted keys (path values resolved against its folder)
+function readConfigFile(file, errors, warn) {
+    const source = path.basename(file);
+    let raw;
+
+    if (file.endsWith('.js')) {
+        raw = require(file);
+    } else {
+        const content = fs.readFileSync(file, 'utf8');
+        try {
+            raw = JSON.parse(content);
+        } catch (error) {
+            if (!content.trim().startsWith('{')) {
+                warn(`${source} is a legacy bash config; move its settings to gallery.config.json`);
+                return readVariables(parseShellConfig(content), source, errors, path.dirname(file));
+            }
+            errors.push(`${source}: invalid JSON (${error.message})`);
+            return {};
+        }
+    }
+
+    return readObject(raw, source, errors, path.dirname(file));
+}
+
+// Read a nested config object (file contents or API overrides) as dotted keys, resolving path
+// values against baseDir
+function readObject(raw, source, errors, baseDir) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push(`${source}: must contain an object`);
+        return {};
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(flatten(raw, source, errors))) {
+        const coerced = coerce(key, value, false, errors, source);
+        if (coerced !== undefined) {
+            values[key] = resolvePathValue(key, coerced, baseDir);
+        }
+    }
+    return values;
+}
+
+// Read env-style variables (environment or legacy config) as dotted keys; other variables are ignored
+function readVariables(variables, source, errors, baseDir) {
+    const values = {};
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const value = variables[spec.env];
+        if (value === undefined || value === '') continue;
+
+        const coerced = coerce(key, value, true, errors, `${source} ${spec.env}`);
+        if (coerced !== undefined) {
+            values[key] = resolvePathValue(key, coerced, baseDir);
+        }
+    }
+
+    return values;
+}
+
+// Read --flag value / --flag=value pairs for known keys; other arguments are left alone
+function readFlags(argv, errors, cwd) {
+    const values = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const key = FLAGS[flag];
+        if (!key) continue;
+
+        let value = inlineValue;
+        if (value === undefined) {
+            const next = argv[i + 1];
+            if (SCHEMA[key].type === 'boolean' && (next === undefined || next.startsWith('--'))) {
+                value = 'true';
+            } else if (next === undefined) {
+                errors.push(`${flag} needs a value`);
+                continue;
+            } else {
+                value = next;
+                i++;
+            }
+        }
+
+        const coerced = coerce(key, value, true, errors, flag);
+        if (coerced !== undefined) {
+            values[key] = resolvePathValue(key, coerced, cwd);
+        }
+    }
+
+    return values;
+}
+
+function resolvePathValue(key, value, baseDir) {
+    if (SCHEMA[key].type === 'command[]') {
+        // JS modules among the hooks are relative, like paths; shell commands run as they are
+        return value.map(entry => (isModulePath(entry) ? path.resolve(baseDir, entry) : entry));
+    }
+    return SCHEMA[key].type === 'path' && value ? path.resolve(baseDir, value) : value;
+}
+
+// Turn dotted keys back into a nested object
+function expand(values) {
+    const config = {};
+
+    for (const [key, value] of Object.entries(values)) {
+        const parts = key.split('.');
+        let target = config;
+        for (const part of parts.slice(0, -1)) {
+            target = target[part] = target[part] || {};
+        }
+        target[parts[parts.length - 1]] = value;
+    }
+
+    return config;
+}
+
+// The arguments that are not configuration flags (or their values)
+function stripConfigFlags(argv) {
+    const rest = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const key = FLAGS[flag];
+
+        if (flag === '--config') {
+            if (inlineValue === undefined) i++;
+        } else if (key) {
+            const next = argv[i + 1];
+            const isBareBoolean = SCHEMA[key].type === 'boolean' && (next === undefined || next.startsWith('--'));
+            if (inlineValue === undefined && !isBareBoolean) i++;
+        } else {
+            rest.push(argv[i]);
+        }
+    }
+
+    return rest;
+}
+
+// Value of --config <file> / --config=<file>, if any
+function getConfigFlag(argv) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--config') return argv[i + 1];
+        if (argv[i].startsWith('--config=')) return argv[i].slice('--config='.length);
+    }
+    return undefined;
+}
+
+// Load and validate the configuration
+// options.cwd   directory searched for gallery.config.json and base of relative flag/env paths
+// options.file  explicit config file (also --config <file> or $GALLERY_CONFIG); false skips files
+// options.argv  CLI arguments to read flag overrides from
+// options.env   environment (default process.env)
+// options.overrides  nested settings applied last, as in gallery.config.json (paths relative to cwd)
+// options.warn  called with deprecation warnings (default console.warn)
+function loadConfig(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const env = options.env || process.env;
+    const argv = options.argv || [];
+    const warn = options.warn || ((message) => console.warn(`⚠ ${message}`));
+    const errors = [];
+
+    const configFile = options.file === false
+        ? null
+        : findConfigFile(options.file || getConfigFlag(argv) || env.GALLERY_CONFIG, cwd);
+
+    // Default paths are relative to the config file, like the paths inside it
+    const values = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        values[key] = resolvePathValue(key, spec.default, configFile ? path.dirname(configFile) : cwd);
+    }
+
+    if (configFile) {
+        Object.assign(values, readConfigFile(configFile, errors, warn));
+    }
+    Object.assign(values, readVariables(env, 'environment variable', errors, cwd));
+    Object.assign(values, readFlags(argv, errors, cwd));
+    if (options.overrides) {
+        Object.assign(values, readObject(options.overrides, 'overrides', errors, cwd));
+    }
+
+    if (values['feedback.enabled'] && !values['feedback.endpoint']) {
+        errors.push('"feedback.enabled" needs "feedback.endpoint" (the URL of your feedback collector)');
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(`Invalid configuration:\n  - ${errors.join('\n  - ')}`, { errors });
+    }
+
+    // Derived defaults
+    values.deploymentCache = values.deploymentCache || path.join(values.galleryDir, 'deployments.json');
+    values.galleryProjectName = values.galleryProjectName || values['project.name'] || 'prototype-gallery';
+
+    const config = expand(values);
+    Object.defineProperty(config, 'configFile', { value: configFile, enumerable: false });
+    return config;
+}
+
+// Quote a value for bash
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Print the resolved configuration as JSON, or as bash assignments with --shell
+function main() {
+    const argv = process.argv.slice(2);
+
+    try {
+        const unknown = stripConfigFlags(argv).filter(arg => arg !== '--shell');
+        if (unknown.length > 0) {
+            throw new Error(`Unknown option: ${unknown.join(' ')}`);
+        }
+
+        const config = loadConfig({ argv });
+
+        if (argv.includes('--shell')) {
+            for (const [key, spec] of Object.entries(SCHEMA)) {
+                const value = key.split('.').reduce((object, part) => object?.[part], config);
+                const separator = spec.type === 'command[]' ? '\n' : ',';
+                const text = Array.isArray(value) ? value.join(separator) : (value ?? '');
+                console.log(`export ${spec.env}=${shellQuote(text)}`);
+            }
+            console.log(`export GALLERY_CONFIG_FILE=${shellQuote(config.configFile || '')}`);
+        } else {
+            console.log(JSON.stringify(config, null, 2));
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { loadConfig, stripConfigFlags, SCHEMA, CONFIG_FILES, flagName };
@@ -0,0 +1,68 @@
+/**
+ * Deploy directories
+ * Scripts added to deployed pages (the feedback widget, the navigation bar) are injected
+ * into a temporary copy of the prototype, so the prototype folder is never modified.
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Insert a tag before the last </body> (or append it to documents without one)
+function insertBeforeBodyEnd(html, tag) {
+    return /<\/body>/i.test(html)
+        ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${tag}</body>`)
+        : html + tag;
+}
+
+// Apply the transforms to every .html file below dir (in place)
+async function transformPages(dir, transforms, root = dir) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            await transformPages(entryPath, transforms, root);
+        } else if (entry.name.endsWith('.html')) {
+            const file = path.relative(root, entryPath).split(path.sep).join('/');
+            const html = await fs.readFile(entryPath, 'utf8');
+            const transformed = transforms.reduce((result, transform) => transform(result, file), html);
+            if (transformed !== html) {
+                await fs.writeFile(entryPath, transformed);
+            }
+        }
+    }
+}
+
+// Directory to deploy for a prototype or the gallery. Without transforms and excludeFiles this is
+// dir itself; otherwise a temporary copy whose pages went through the transforms, removed again by cleanup().
+// options.transforms    [(html, file) => html], file being relative to dir ("index.html", "steps/two.html")
+// options.excludeDirs   names left out of the copy
+// options.excludeFiles  paths relative to dir left out of the copy (files that are not to be published)
+async function prepareDeployDir(dir, options = {}) {
+    const transforms = options.transforms || [];
+    const excludedFiles = (options.excludeFiles || []).map(file => path.resolve(dir, file));
+    if (transforms.length === 0 && excludedFiles.length === 0) {
+        return { dir, cleanup: async () => {} };
+    }
+
+    // .vercel stays so the copy deploys to the prototype's linked project
+    const excluded = (options.excludeDirs || []).filter(name => name !== '.vercel');
+    const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'prototype-deploy-'));
+    const staged = path.join(staging, path.basename(dir));
+
+    try {
+        await fs.cp(dir, staged, {
+            recursive: true,
+            filter: source => !excluded.includes(path.basename(source)) && !excludedFiles.includes(path.resolve(source))
+        });
+        if (transforms.length > 0) {
+            await transformPages(staged, transforms);
+        }
+    } catch (error) {
+        await fs.rm(staging, { recursive: true, force: true });
+        throw error;
+    }
+
+    return { dir: staged, cleanup: () => fs.rm(staging, { recursive: true, force: true }) };
+}
+
+module.exports = { prepareDeployDir, transformPages, insertBeforeBodyEnd };
@@ -0,0 +1,89 @@
+/**
+ * Deployment queue
+ * Runs deployments with a concurrency limit, a timeout per attempt and retries with
+ * exponential backoff for transient failures (timeouts, network errors, rate limits).
+ * Tasks get an AbortSignal that is aborted when their attempt times out; the next attempt
+ * starts only once the timed-out one has stopped, so two never deploy at the same time.
+ */
+
+// Error codes and output of flaky network calls that are worth another attempt
+const TRANSIENT_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH'];
+const TRANSIENT_PATTERN = /timed? ?out|rate.?limit|too many requests|\b429\b|\b50[234]\b|socket hang up|network|ECONNRESET|ETIMEDOUT|EAI_AGAIN|temporarily unavailable/i;
+
+// Whether a failed attempt should be retried; providers can decide with error.transient
+function isTransientError(error) {
+    if (typeof error.transient === 'boolean') return error.transient;
+    if (error.killed) return true; // exec() timeout
+    if (TRANSIENT_CODES.includes(error.code)) return true;
+    return TRANSIENT_PATTERN.test(`${error.message}\n${error.stderr || ''}`);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run run(signal), aborting signal when it takes longer than timeout milliseconds. Settles only
+// once run() has: with its value if it still succeeded, else with a timeout error.
+async function withTimeout(run, timeout) {
+    if (!timeout) return run(undefined);
+
+    const controller = new AbortController();
+    const error = new Error(`Timed out after ${timeout / 1000}s`);
+    error.code = 'ETIMEDOUT';
+    const timer = setTimeout(() => controller.abort(error), timeout);
+
+    try {
+        return await run(controller.signal);
+    } catch (failure) {
+        throw controller.signal.aborted ? error : failure;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Run one task (run(signal), see withTimeout()) until it succeeds, fails permanently or runs out
+// of retries. Resolves with { value, error, attempts, duration }; never rejects.
+async function runWithRetry(run, { retries = 0, retryDelay = 0, timeout, onRetry } = {}) {
+    const start = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const value = await withTimeout(run, timeout);
+            return { value, attempts: attempt, duration: Date.now() - start };
+        } catch (error) {
+            if (attempt > retries || !isTransientError(error)) {
+                return { error, attempts: attempt, duration: Date.now() - start };
+            }
+
+            const delay = retryDelay * 2 ** (attempt - 1);
+            if (onRetry) onRetry(error, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+// Run tasks ({ label, run }) with at most options.concurrency at a time (options as for
+// runWithRetry; onRetry receives the task first). Results are in the order of the tasks.
+async function runDeployQueue(tasks, options = {}) {
+    const { concurrency = 1, onRetry, ...retryOptions } = options;
+    const results = new Array(tasks.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < tasks.length) {
+            const index = next++;
+            const task = tasks[index];
+            const result = await runWithRetry(task.run, {
+                ...retryOptions,
+                onRetry: onRetry && ((error, attempt, delay) => onRetry(task, error, attempt, delay))
+            });
+            results[index] = { task, ...result };
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, tasks.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+module.exports = { runDeployQueue, runWithRetry, isTransientError };
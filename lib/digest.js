@@ -0,0 +1,68 @@
+/**
+ * Content digests for prototype folders
+ * Hashes every file below a prototype (skipping excluded names) so redeploys are
+ * driven by content, not by modification times.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Hash every file below dir: { digest, files: { 'relative/path': sha256 } }
+async function hashPrototype(dir, excludeDirs = []) {
+    const files = {};
+
+    async function walk(current) {
+        const entries = await fs.readdir(current, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (excludeDirs.includes(entry.name)) continue;
+
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                await walk(entryPath);
+            } else if (entry.isFile()) {
+                const relativePath = path.relative(dir, entryPath).split(path.sep).join('/');
+                files[relativePath] = sha256(await fs.readFile(entryPath));
+            }
+        }
+    }
+
+    await walk(dir);
+
+    const manifest = Object.keys(files)
+        .sort()
+        .map(file => `${file}\0${files[file]}\n`)
+        .join('');
+
+    return { digest: sha256(manifest), files };
+}
+
+// Compare two file maps from hashPrototype(): { added, modified, removed }
+function diffFiles(previous = {}, current = {}) {
+    const added = [];
+    const modified = [];
+    const removed = [];
+
+    for (const [file, hash] of Object.entries(current)) {
+        if (!(file in previous)) {
+            added.push(file);
+        } else if (previous[file] !== hash) {
+            modified.push(file);
+        }
+    }
+
+    for (const file of Object.keys(previous)) {
+        if (!(file in current)) {
+            removed.push(file);
+        }
+    }
+
+    return { added: added.sort(), modified: modified.sort(), removed: removed.sort() };
+}
+
+module.exports = { hashPrototype, diffFiles };
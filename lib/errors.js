@@ -0,0 +1,77 @@
+/**
+ * Error types
+ * Everything the gallery API (index.js) throws is a GalleryError with a stable `code`, so build
+ * scripts can tell a bad configuration from a missing prototype without parsing messages.
+ * `hint` holds lines telling the user how to fix it, when there are any.
+ *
+ *   ConfigError       CONFIG_INVALID       invalid or missing configuration (.errors: every problem)
+ *   DependencyError   DEPENDENCY_MISSING   deploy provider unusable or prototypesDir missing
+ *   NotFoundError     NOT_FOUND            no prototype or deployment matches the query
+ *   UsageError        INVALID_ARGUMENT     missing or conflicting arguments
+ *   ValidationError   VALIDATION_FAILED    validation errors stopped a sync or deploy (.report: lib/validate.js report)
+ *   PasswordError     PASSWORD_MISSING     a password-protected prototype has no password
+ *   HookError         HOOK_FAILED          a beforeScan/beforeDeploy hook failed (.hook: its name)
+ */
+
+class GalleryError extends Error {
+    constructor(message, { code = 'GALLERY_ERROR', hint, cause, ...details } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        if (hint) this.hint = hint;
+        Object.assign(this, details);
+    }
+}
+
+class ConfigError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'CONFIG_INVALID', ...details });
+    }
+}
+
+class DependencyError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'DEPENDENCY_MISSING', ...details });
+    }
+}
+
+class NotFoundError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'NOT_FOUND', ...details });
+    }
+}
+
+class UsageError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'INVALID_ARGUMENT', ...details });
+    }
+}
+
+class ValidationError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'VALIDATION_FAILED', ...details });
+    }
+}
+
+class PasswordError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'PASSWORD_MISSING', ...details });
+    }
+}
+
+class HookError extends GalleryError {
+    constructor(message, details = {}) {
+        super(message, { code: 'HOOK_FAILED', ...details });
+    }
+}
+
+module.exports = {
+    GalleryError,
+    ConfigError,
+    DependencyError,
+    NotFoundError,
+    UsageError,
+    ValidationError,
+    PasswordError,
+    HookError
+};
@@ -0,0 +1,358 @@
+/**
+ * Prototype export
+ * exportSingleFile() turns a prototype page into one self-contained HTML file that can be
+ * emailed or attached to a ticket: local stylesheets (with their @imports) and scripts are
+ * inlined, images, fonts and media become data: URIs. What can't be inlined is reported:
+ *
+ *   external  http(s) resources that still need a network connection
+ *   pages     links to other local pages, which are not part of the file
+ *   missing   local references whose file doesn't exist
+ *   modules   ES module scripts importing other files (left as they are)
+ *
+ * offlineTransform() prepares pages for `export --zip`, whose archive is browsed from file://:
+ * root-relative references become relative and links to folders point at their index.html.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CONTENT_TYPES } = require('./preview-server');
+const { insertBeforeBodyEnd } = require('./deploy-dir');
+
+// Comments, script and style elements, and any other start tag
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<script\b[^>]*>[\s\S]*?<\/script\s*>|<style\b[^>]*>[\s\S]*?<\/style\s*>|<[a-z][^>]*>/gi;
+const ATTRIBUTE_PATTERN = /(\s)([\w:-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)/gi;
+const CSS_IMPORT_PATTERN = /@import\s+(?:url\(\s*)?(?:"([^"]*)"|'([^']*)'|([^)\s;]+))\s*\)?\s*([^;]*);/gi;
+
+// Attributes of media and embedded content that load a file
+const RESOURCE_ATTRIBUTES = ['src', 'poster', 'data'];
+const MODULE_IMPORT_PATTERN = /\bimport\s*(?:[\w*{}\s,$]+\s*from\s*)?\(?\s*['"]\.{0,2}\//;
+
+function isExternal(reference) {
+    return /^(?:https?:)?\/\//i.test(reference);
+}
+
+// References left alone: data: URIs, anchors, mailto:, javascript:, template placeholders, ...
+function isIgnored(reference) {
+    return !reference
+        || (/^(?:[a-z][a-z\d+.-]*:|#)/i.test(reference) && !isExternal(reference))
+        || /\{\{|\$\{|<%/.test(reference);
+}
+
+function decodeEntities(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#0*39;|&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// { name: value } of a start tag (attribute names lowercased, values decoded)
+function parseAttributes(tag) {
+    const attributes = {};
+    const start = tag.search(/[\s>]/);
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(tag.slice(start)))) {
+        const value = match[3] ?? match[4] ?? match[5];
+        attributes[match[2].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Start tag with some attributes replaced (string value) or removed (null)
+function rewriteTag(tag, changes) {
+    const name = tag.match(/^<([\w:-]+)/)[1];
+    const attributes = { ...parseAttributes(tag), ...changes };
+    const rendered = Object.entries(attributes)
+        .filter(([, value]) => value !== null)
+        .map(([key, value]) => (value === '' ? ` ${key}` : ` ${key}="${escapeAttribute(value)}"`))
+        .join('');
+    return `<${name}${rendered}${/\/>$/.test(tag) ? ' /' : ''}>`;
+}
+
+// Create the state of one export: the prototype folder and what was (not) inlined
+function createContext(root) {
+    return { root, inlined: new Set(), external: new Set(), pages: new Set(), missing: new Set(), modules: new Set() };
+}
+
+// Local file a reference points at (root-relative paths resolve against the prototype folder)
+function resolveReference(reference, fromFile, context) {
+    let target = reference.split(/[?#]/)[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+    return target.startsWith('/') ? path.join(context.root, target) : path.resolve(path.dirname(fromFile), target);
+}
+
+// Read a referenced file, or record it as external/missing and return null
+async function readReference(reference, fromFile, context, encoding) {
+    if (isExternal(reference)) {
+        context.external.add(reference);
+        return null;
+    }
+
+    const file = resolveReference(reference, fromFile, context);
+    try {
+        const content = await fs.readFile(file, encoding);
+        const name = path.relative(context.root, file).split(path.sep).join('/');
+        context.inlined.add(name);
+        return { file, name, content };
+    } catch {
+        context.missing.add(reference);
+        return null;
+    }
+}
+
+// A reference as a data: URI (unchanged when it can't be inlined)
+async function toDataUri(reference, fromFile, context) {
+    if (isIgnored(reference)) return reference;
+
+    const result = await readReference(reference, fromFile, context);
+    if (!result) return reference;
+
+    const type = CONTENT_TYPES[path.extname(result.file).toLowerCase()] || 'application/octet-stream';
+    const fragment = reference.includes('#') ? reference.slice(reference.indexOf('#')) : '';
+    return `data:${type.replace(/;\s*/g, ';')};base64,${result.content.toString('base64')}${fragment}`;
+}
+
+// Replace matches of a global pattern with the results of an async callback
+async function replaceAsync(text, pattern, replacer) {
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        parts.push(text.slice(last, match.index), await replacer(...match));
+        last = match.index + match[0].length;
+    }
+    parts.push(text.slice(last));
+    return parts.join('');
+}
+
+// CSS with local @imports inlined and url()s turned into data: URIs, relative to fromFile
+async function inlineCss(css, fromFile, context, seen = new Set()) {
+    const imported = await replaceAsync(css, CSS_IMPORT_PATTERN, async (match, double, single, bare, media) => {
+        const reference = double ?? single ?? bare;
+        if (isIgnored(reference) || isExternal(reference)) {
+            if (isExternal(reference)) context.external.add(reference);
+            return match;
+        }
+
+        const file = resolveReference(reference, fromFile, context);
+        if (seen.has(file)) return '';
+        const result = await readReference(reference, fromFile, context, 'utf8');
+        if (!result) return match;
+
+        const content = await inlineCss(result.content, result.file, context, new Set([...seen, file]));
+        return media.trim() ? `@media ${media.trim()} {\n${content}\n}` : content;
+    });
+
+    return replaceAsync(imported, CSS_URL_PATTERN, async (match, double, single, bare) => {
+        const reference = (double ?? single ?? bare).trim();
+        if (isIgnored(reference)) return match;
+        const uri = await toDataUri(reference, fromFile, context);
+        return uri === reference ? match : `url("${uri}")`;
+    });
+}
+
+function escapeClosingTag(content, tag) {
+    return content.replace(new RegExp(`</${tag}`, 'gi'), `<\\/${tag}`);
+}
+
+// <link rel="stylesheet"> becomes a <style>; icons and other linked files become data: URIs
+async function inlineLink(tag, fromFile, context) {
+    const attributes = parseAttributes(tag);
+    const reference = attributes.href;
+    if (!reference || isIgnored(reference)) return tag;
+
+    const rel = (attributes.rel || '').toLowerCase().split(/\s+/);
+    if (rel.includes('stylesheet')) {
+        const result = await readReference(reference, fromFile, context, 'utf8');
+        if (!result) return tag;
+        const css = await inlineCss(result.content, result.file, context);
+        const media = attributes.media ? ` media="${escapeAttribute(attributes.media)}"` : '';
+        return `<style${media}>\n${escapeClosingTag(css, 'style')}\n</style>`;
+    }
+
+    if (rel.includes('preconnect') || rel.includes('dns-prefetch')) return tag;
+    if (/\.html?$/i.test(reference.split(/[?#]/)[0])) return tag;
+    return rewriteTag(tag, { href: await toDataUri(reference, fromFile, context), integrity: null, crossorigin: null });
+}
+
+// <script src> with its content inlined; deferred classic scripts are returned separately,
+// since they have to run after the document was parsed
+async function inlineScript(element, fromFile, context) {
+    const openTag = element.match(/^<script\b[^>]*>/i)[0];
+    const attributes = parseAttributes(openTag);
+    const reference = attributes.src;
+    if (reference === undefined || isIgnored(reference)) return { html: element };
+
+    const result = await readReference(reference, fromFile, context, 'utf8');
+    if (!result) return { html: element };
+
+    const isModule = (attributes.type || '').toLowerCase() === 'module';
+    if (isModule && MODULE_IMPORT_PATTERN.test(result.content)) {
+        context.inlined.delete(result.name);
+        context.modules.add(reference);
+        return { html: element };
+    }
+
+    const tag = rewriteTag(openTag, { src: null, integrity: null, crossorigin: null, defer: null, async: null });
+    const html = `${tag}\n${escapeClosingTag(result.content, 'script')}\n</script>`;
+    return 'defer' in attributes && !isModule ? { html: '', deferred: html } : { html };
+}
+
+// Media, images and embedded content as data: URIs; links to local pages are reported
+async function inlineTag(tag, fromFile, context) {
+    const attributes = parseAttributes(tag);
+    const name = tag.match(/^<([\w:-]+)/)[1].toLowerCase();
+    const changes = {};
+
+    if ((name === 'a' || name === 'area' || name === 'iframe') && (attributes.href || attributes.src)) {
+        const reference = attributes.href || attributes.src;
+        if (!isIgnored(reference) && !isExternal(reference) && reference.split(/[?#]/)[0]) {
+            context.pages.add(reference);
+        }
+        return tag;
+    }
+
+    for (const attribute of RESOURCE_ATTRIBUTES) {
+        if (attributes[attribute]) {
+            changes[attribute] = await toDataUri(attributes[attribute], fromFile, context);
+        }
+    }
+    if (attributes.srcset) {
+        const candidates = [];
+        for (const candidate of attributes.srcset.split(',').map(item => item.trim()).filter(Boolean)) {
+            const [reference, ...descriptor] = candidate.split(/\s+/);
+            candidates.push([await toDataUri(reference, fromFile, context), ...descriptor].join(' '));
+        }
+        changes.srcset = candidates.join(', ');
+    }
+    if (attributes.style && /url\(/i.test(attributes.style)) {
+        changes.style = await inlineCss(attributes.style, fromFile, context);
+    }
+
+    const changed = Object.keys(changes).some(key => changes[key] !== attributes[key]);
+    return changed ? rewriteTag(tag, changes) : tag;
+}
+
+// Tags linking to pages, whose folder links need an explicit index.html on file://
+const PAGE_TAGS = ['a', 'area', 'iframe', 'form'];
+
+// A reference that works from file://, for a page prefix folders below the prototype root
+function toOfflineReference(reference, prefix, isPage) {
+    if (isIgnored(reference) || isExternal(reference)) return reference;
+
+    const split = reference.search(/[?#]/);
+    let target = split === -1 ? reference : reference.slice(0, split);
+    const suffix = split === -1 ? '' : reference.slice(split);
+    const isRoot = target.startsWith('/');
+    if (!target && !isRoot) return reference;
+
+    if (isRoot) {
+        target = (prefix || './') + target.replace(/^\/+/, '');
+    }
+    if (isPage && (/\/$/.test(target) || /(^|\/)\.\.?$/.test(target))) {
+        target = target.replace(/\/?$/, '/index.html');
+    }
+    return target + suffix;
+}
+
+// CSS with root-relative url()s made relative
+function toOfflineCss(css, prefix) {
+    return css.replace(CSS_URL_PATTERN, (match, double, single, bare) => {
+        const reference = (double ?? single ?? bare).trim();
+        const offline = toOfflineReference(reference, prefix, false);
+        return offline === reference ? match : `url("${offline}")`;
+    });
+}
+
+// A start tag with its references made to work from file://
+function toOfflineTag(tag, prefix) {
+    const attributes = parseAttributes(tag);
+    const name = tag.match(/^<([\w:-]+)/)[1].toLowerCase();
+    const isPage = PAGE_TAGS.includes(name);
+    const changes = {};
+
+    for (const attribute of ['href', 'src', 'action', ...RESOURCE_ATTRIBUTES]) {
+        if (attributes[attribute]) {
+            changes[attribute] = toOfflineReference(attributes[attribute], prefix, isPage);
+        }
+    }
+    if (attributes.srcset) {
+        changes.srcset = attributes.srcset.split(',').map(item => item.trim()).filter(Boolean)
+            .map(candidate => {
+                const [reference, ...descriptor] = candidate.split(/\s+/);
+                return [toOfflineReference(reference, prefix, false), ...descriptor].join(' ');
+            })
+            .join(', ');
+    }
+    if (attributes.style && /url\(/i.test(attributes.style)) {
+        changes.style = toOfflineCss(attributes.style, prefix);
+    }
+
+    const changed = Object.keys(changes).some(key => changes[key] !== attributes[key]);
+    return changed ? rewriteTag(tag, changes) : tag;
+}
+
+// Page transform for lib/deploy-dir.js: pages of a prototype made browsable from file://
+// (root-relative references resolve against the prototype folder, like on its deployment)
+function offlineTransform() {
+    return (html, file) => {
+        const prefix = '../'.repeat(file.split('/').length - 1);
+        return html.replace(TOKEN_PATTERN, (token) => {
+            if (token.startsWith('<!--')) return token;
+
+            if (/^<(script|style)\b/i.test(token)) {
+                const [, open, body, close] = token.match(/^(<[a-z]+\b[^>]*>)([\s\S]*?)(<\/[a-z]+\s*>)$/i);
+                const isStyle = /^<style/i.test(token);
+                return toOfflineTag(open, prefix) + (isStyle ? toOfflineCss(body, prefix) : body) + close;
+            }
+            return toOfflineTag(token, prefix);
+        });
+    };
+}
+
+// Export a prototype page as one self-contained HTML document
+// Returns { html, inlined: [files], external: [urls], pages: [links], missing: [references], modules: [scripts] }
+async function exportSingleFile(dir, { page = 'index.html' } = {}) {
+    const root = path.resolve(dir);
+    const file = path.join(root, page);
+    const context = createContext(root);
+    const deferred = [];
+
+    let html = await replaceAsync(await fs.readFile(file, 'utf8'), TOKEN_PATTERN, async (token) => {
+        if (token.startsWith('<!--')) return token;
+
+        if (/^<script\b/i.test(token)) {
+            const result = await inlineScript(token, file, context);
+            if (result.deferred) deferred.push(result.deferred);
+            return result.html;
+        }
+
+        if (/^<style\b/i.test(token)) {
+            const [, open, css, close] = token.match(/^(<style\b[^>]*>)([\s\S]*?)(<\/style\s*>)$/i);
+            return open + escapeClosingTag(await inlineCss(css, file, context), 'style') + close;
+        }
+
+        if (/^<link\b/i.test(token)) return inlineLink(token, file, context);
+        return inlineTag(token, file, context);
+    });
+
+    if (deferred.length > 0) {
+        html = insertBeforeBodyEnd(html, deferred.join('\n') + '\n');
+    }
+
+    return {
+        html,
+        inlined: [...context.inlined],
+        external: [...context.external],
+        pages: [...context.pages],
+        missing: [...context.missing],
+        modules: [...context.modules]
+    };
+}
+
+module.exports = { exportSingleFile, offlineTransform };
@@ -0,0 +1,90 @@
+/**
+ * Atom feed of gallery updates
+ * Every sync writes feed.xml next to the gallery's index.html: an entry for each deployment
+ * that added a prototype or changed its content, newest first, so teammates can follow the
+ * gallery in a feed reader. Forced redeploys of unchanged files get no entry.
+ */
+
+const { escapeHtml } = require('./templates/html');
+
+const FEED_FILE = 'feed.xml';
+
+function xml(value) {
+    return escapeHtml(value == null ? '' : String(value));
+}
+
+// Stable id for the feed and its entries, the same on every sync
+function feedId(...parts) {
+    return ['urn:prototype-gallery', ...parts.map(part => String(part).replace(/[^\w.-]+/g, '-'))].join(':');
+}
+
+// Entries for the deployments of one prototype ({ slug, name, description, feature, owner, tags }),
+// from its version history (lib/history.js): one per version whose content differs from the
+// version before it
+function getUpdateEntries(proto, versions, { projectName = 'gallery' } = {}) {
+    const entries = [];
+
+    versions.forEach((version, index) => {
+        const previous = versions[index - 1];
+        if (!version.timestamp || (previous && version.digest && previous.digest === version.digest)) return;
+
+        const added = entries.length === 0;
+        entries.push({
+            id: feedId(projectName, proto.slug, `v${version.version}`),
+            title: `${added ? 'New' : 'Updated'}: ${proto.name}${added ? '' : ` (v${version.version})`}`,
+            url: version.url,
+            updated: version.timestamp,
+            summary: [proto.description, version.note].filter(Boolean).join(' · '),
+            author: proto.owner || null,
+            categories: [proto.feature, ...(proto.tags || [])].filter(Boolean)
+        });
+    });
+
+    return entries;
+}
+
+// feed.xml. entries: [{ id, title, url, updated, summary, author, categories }];
+// url: the gallery (null: not known), the newest `limit` entries are kept
+function renderAtomFeed({ project, url = null, generatedAt = new Date(), entries, limit = 50 }) {
+    const title = project.title || project.name || 'Prototype Gallery';
+    const newest = entries
+        .slice()
+        .sort((a, b) => new Date(b.updated) - new Date(a.updated))
+        .slice(0, limit > 0 ? limit : undefined);
+    const updated = newest.length > 0 ? newest[0].updated : new Date(generatedAt).toISOString();
+    const id = url || feedId(project.name || 'gallery');
+
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `    <id>${xml(id)}</id>`,
+        `    <title>${xml(title)}</title>`,
+        ...(project.description ? [`    <subtitle>${xml(project.description)}</subtitle>`] : []),
+        `    <updated>${xml(new Date(updated).toISOString())}</updated>`,
+        ...(url ? [
+            `    <link rel="alternate" type="text/html" href="${xml(url)}"/>`,
+            `    <link rel="self" type="application/atom+xml" href="${xml(new URL(FEED_FILE, url).href)}"/>`
+        ] : []),
+        `    <author><name>${xml(title)}</name></author>`,
+        '    <generator>prototype-gallery</generator>'
+    ];
+
+    for (const entry of newest) {
+        lines.push(
+            '    <entry>',
+            `        <id>${xml(entry.id)}</id>`,
+            `        <title>${xml(entry.title)}</title>`,
+            `        <link rel="alternate" type="text/html" href="${xml(entry.url)}"/>`,
+            `        <updated>${xml(new Date(entry.updated).toISOString())}</updated>`,
+            ...(entry.author ? [`        <author><name>${xml(entry.author)}</name></author>`] : []),
+            ...entry.categories.map(category => `        <category term="${xml(category)}"/>`),
+            ...(entry.summary ? [`        <summary>${xml(entry.summary)}</summary>`] : []),
+            '    </entry>'
+        );
+    }
+
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+module.exports = { renderAtomFeed, getUpdateEntries, FEED_FILE };
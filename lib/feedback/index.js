@@ -0,0 +1,99 @@
+/**
+ * Stakeholder feedback
+ * With feedback.enabled, deployments get ./widget.js injected into every HTML page, so viewers
+ * can pin comments to a spot on the page. Comments go to feedback.endpoint: the reference
+ * collector in ./server.js (node feedback-server.js) or any service with the same API.
+ * The helpers below read comments back for the CLI and the gallery's comment counts.
+ */
+
+const path = require('path');
+const { escapeHtml } = require('../templates/html');
+const { insertBeforeBodyEnd } = require('../deploy-dir');
+const { createFeedbackStore } = require('./store');
+const { startFeedbackServer } = require('./server');
+
+const WIDGET_SOURCE = require('fs').readFileSync(path.join(__dirname, 'widget.js'), 'utf8');
+
+// Add the widget to an HTML document, configured through data attributes of its script tag.
+// Documents that already contain it are returned unchanged.
+function injectFeedbackWidget(html, { endpoint, prototype }) {
+    if (html.includes('data-feedback-prototype=')) return html;
+
+    const tag = `<script data-feedback-endpoint="${escapeHtml(endpoint)}" data-feedback-prototype="${escapeHtml(prototype)}">\n${WIDGET_SOURCE}</script>\n`;
+    return insertBeforeBodyEnd(html, tag);
+}
+
+// Page transform for prepareDeployDir() (lib/deploy-dir.js): the widget goes into every page.
+// null when feedback is disabled. options: { enabled, endpoint, prototype }
+function feedbackTransform(options) {
+    if (!options.enabled) return null;
+    return (html) => injectFeedbackWidget(html, options);
+}
+
+async function fetchJson(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(`${url}: ${body.error || `${response.status} ${response.statusText}`}`);
+    }
+    return response.json();
+}
+
+function endpointUrl(endpoint, route) {
+    return endpoint.replace(/\/+$/, '') + route;
+}
+
+// Comments of a prototype from the collector, oldest first
+function fetchComments(endpoint, prototype) {
+    return fetchJson(endpointUrl(endpoint, `/comments?prototype=${encodeURIComponent(prototype)}`));
+}
+
+// { prototype: number of comments } from the collector
+function fetchCommentCounts(endpoint) {
+    return fetchJson(endpointUrl(endpoint, '/counts'));
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Comments as CSV (one row per comment) for spreadsheets
+function commentsToCsv(comments) {
+    const columns = ['createdAt', 'prototype', 'page', 'name', 'text', 'x', 'y', 'url'];
+    return [
+        columns.join(','),
+        ...comments.map(comment => columns.map(column => csvField(comment[column])).join(','))
+    ].join('\n') + '\n';
+}
+
+// Comments as a Markdown list, e.g. for pasting into an issue
+function commentsToMarkdown(prototype, comments) {
+    return [
+        `# Feedback on ${prototype}`,
+        '',
+        ...comments.map(comment => {
+            const meta = [comment.name || 'Anonymous', new Date(comment.createdAt).toLocaleString(), comment.page].filter(Boolean);
+            return `- **${meta.join(' · ')}**: ${comment.text.replace(/\n+/g, ' ')}`;
+        })
+    ].join('\n') + '\n';
+}
+
+// Comments in the format matching a file extension (.json, .csv, .md)
+function formatComments(prototype, comments, file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') return commentsToCsv(comments);
+    if (extension === '.md') return commentsToMarkdown(prototype, comments);
+    if (extension === '.json') return JSON.stringify(comments, null, 2) + '\n';
+    throw new Error(`Unsupported export format "${extension || file}" (use .json, .csv or .md)`);
+}
+
+module.exports = {
+    injectFeedbackWidget,
+    feedbackTransform,
+    fetchComments,
+    fetchCommentCounts,
+    formatComments,
+    createFeedbackStore,
+    startFeedbackServer
+};
@@ -0,0 +1,101 @@
+/**
+ * Reference feedback collector
+ * A small HTTP API the injected widget posts to, storing comments with ./store.js.
+ * Any service with the same three routes can be used instead (set feedback.endpoint):
+ *
+ *   POST /comments               { prototype, text, name?, page?, x?, y?, viewport?, url? } → 201 comment
+ *   GET  /comments?prototype=x   comments of a prototype, oldest first
+ *   GET  /counts                 { prototype: number of comments }
+ *
+ * Responses allow any origin, since prototypes are deployed to their own domains.
+ */
+
+const http = require('http');
+const { feedbackError } = require('./store');
+
+const MAX_BODY = 64 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(feedbackError('Comment too large', 413));
+                req.destroy();
+            }
+        });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// Start the collector
+// options.store      store from createFeedbackStore()
+// options.port       port to listen on (0 picks a free one)
+// options.onComment  called with every saved comment
+function startFeedbackServer(options) {
+    const { store } = options;
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            return res.end();
+        }
+
+        if (url.pathname === '/comments' && req.method === 'POST') {
+            let input;
+            try {
+                input = JSON.parse(await readBody(req));
+            } catch (error) {
+                throw error.status ? error : feedbackError('Body must be JSON');
+            }
+            const comment = await store.add(input);
+            if (options.onComment) options.onComment(comment);
+            return sendJson(res, 201, comment);
+        }
+
+        if (url.pathname === '/comments' && req.method === 'GET') {
+            const prototype = url.searchParams.get('prototype');
+            if (!prototype) {
+                throw feedbackError('Missing ?prototype=');
+            }
+            return sendJson(res, 200, await store.list(prototype));
+        }
+
+        if (url.pathname === '/counts' && req.method === 'GET') {
+            return sendJson(res, 200, await store.counts());
+        }
+
+        throw feedbackError(`Not found: ${req.method} ${url.pathname}`, 404);
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            const status = error.status || 500;
+            sendJson(res, status, { error: status === 500 ? 'Internal error' : error.message });
+            if (status === 500) console.error(error);
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? 4400, () => resolve(server));
+    });
+}
+
+module.exports = { startFeedbackServer };
@@ -0,0 +1,138 @@
+/**
+ * Feedback comment store of the reference collector
+ * One JSON file per comment: <dir>/<prototype>/<createdAt>-<id>.json, so concurrent
+ * comments never rewrite the same file and a folder can be copied or deleted by hand.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const LIMITS = { prototype: 200, page: 200, text: 5000, name: 100, url: 2000 };
+
+// Prototype ids are gallery slugs ("checkout" or "onboarding/welcome" from deploy.sh)
+const PROTOTYPE_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+function isPrototypeId(value) {
+    return PROTOTYPE_PATTERN.test(value) && !value.split('/').some(part => part === '.' || part === '..');
+}
+
+// Error for an invalid request; status is the HTTP status the collector responds with
+function feedbackError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function optionalString(input, key) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string') throw feedbackError(`"${key}" must be a string`);
+    if (value.length > LIMITS[key]) throw feedbackError(`"${key}" is longer than ${LIMITS[key]} characters`);
+    return value.trim();
+}
+
+function optionalNumber(input, key) {
+    const value = input[key];
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw feedbackError(`"${key}" must be a positive number`);
+    }
+    return value;
+}
+
+// Check a posted comment and keep only the known fields
+function validateComment(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw feedbackError('Comment must be a JSON object');
+    }
+
+    const prototype = optionalString(input, 'prototype');
+    if (!prototype || !isPrototypeId(prototype)) {
+        throw feedbackError('"prototype" must be a prototype slug');
+    }
+
+    const text = optionalString(input, 'text');
+    if (!text) {
+        throw feedbackError('"text" is required');
+    }
+
+    const viewport = input.viewport && typeof input.viewport === 'object'
+        ? { width: optionalNumber(input.viewport, 'width'), height: optionalNumber(input.viewport, 'height') }
+        : null;
+
+    return {
+        prototype,
+        page: optionalString(input, 'page'),
+        text,
+        name: optionalString(input, 'name'),
+        x: optionalNumber(input, 'x'),
+        y: optionalNumber(input, 'y'),
+        viewport,
+        url: optionalString(input, 'url')
+    };
+}
+
+function createFeedbackStore(dir) {
+    const prototypeDir = (prototype) => path.join(dir, encodeURIComponent(prototype));
+
+    // Validate and save a comment; returns it with its id and createdAt
+    async function add(input) {
+        const comment = {
+            id: crypto.randomBytes(6).toString('hex'),
+            createdAt: new Date().toISOString(),
+            ...validateComment(input)
+        };
+
+        const target = prototypeDir(comment.prototype);
+        await fs.mkdir(target, { recursive: true });
+        const stamp = comment.createdAt.replace(/[:.]/g, '-');
+        await fs.writeFile(path.join(target, `${stamp}-${comment.id}.json`), JSON.stringify(comment, null, 2));
+        return comment;
+    }
+
+    // Comments of a prototype, oldest first
+    async function list(prototype) {
+        if (!isPrototypeId(prototype)) return [];
+
+        let files;
+        try {
+            files = await fs.readdir(prototypeDir(prototype));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const comments = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                comments.push(JSON.parse(await fs.readFile(path.join(prototypeDir(prototype), file), 'utf8')));
+            } catch {
+                // Skip files that were edited into invalid JSON
+            }
+        }
+        return comments.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    // Number of comments per prototype
+    async function counts() {
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+
+        const result = {};
+        for (const entry of entries.filter(e => e.isDirectory())) {
+            const files = await fs.readdir(path.join(dir, entry.name));
+            result[decodeURIComponent(entry.name)] = files.filter(name => name.endsWith('.json')).length;
+        }
+        return result;
+    }
+
+    return { dir, add, list, counts };
+}
+
+module.exports = { createFeedbackStore, validateComment, feedbackError };
@@ -0,0 +1,199 @@
+// Feedback widget, injected into deployed prototypes by lib/feedback when feedback.enabled is set.
+// Viewers press "Feedback", click a spot on the page and send a comment (optionally with
+// their name) to the collector in data-feedback-endpoint. Comments already left on this page
+// are shown as numbered pins. Everything lives in a shadow root so prototype styles don't leak in.
+(function () {
+    const script = document.currentScript;
+    const endpoint = script.dataset.feedbackEndpoint.replace(/\/+$/, '');
+    const prototype = script.dataset.feedbackPrototype;
+    const page = location.pathname.split('/').pop() || 'index.html';
+    const NAME_KEY = 'prototype-feedback:name';
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>
+        * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .toggle { position: fixed; right: 20px; bottom: 20px; padding: 10px 16px; border: none; border-radius: 20px;
+            background: #0066cc; color: white; font-size: 14px; cursor: pointer; box-shadow: 0 4px 12px rgba(0,0,0,0.2); }
+        .toggle.placing { background: #333; }
+        .overlay { position: fixed; inset: 0; cursor: crosshair; display: none; }
+        .overlay.active { display: block; }
+        .pin { position: absolute; width: 26px; height: 26px; margin: -13px 0 0 -13px; border: 2px solid white; border-radius: 50%;
+            background: #0066cc; color: white; font-size: 12px; font-weight: 600; cursor: pointer; box-shadow: 0 2px 6px rgba(0,0,0,0.3); }
+        .card { position: absolute; width: 260px; margin: 18px 0 0 -13px; padding: 12px; border-radius: 8px; background: white;
+            color: #333; font-size: 13px; box-shadow: 0 8px 24px rgba(0,0,0,0.2); }
+        .card textarea, .card input { width: 100%; margin-bottom: 8px; padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; }
+        .card textarea { height: 80px; resize: vertical; }
+        .card .actions { display: flex; justify-content: flex-end; gap: 8px; }
+        .card button { padding: 5px 12px; border: 1px solid #ddd; border-radius: 4px; background: white; font-size: 13px; cursor: pointer; }
+        .card button[type="submit"] { border-color: #0066cc; background: #0066cc; color: white; }
+        .card .meta { margin-top: 6px; color: #999; font-size: 11px; }
+        .card .error { margin-bottom: 8px; color: #c62828; }
+    </style>
+    <div class="overlay"></div>
+    <div class="pins"></div>
+    <button class="toggle" type="button">💬 Feedback</button>`;
+
+    const toggle = root.querySelector('.toggle');
+    const overlay = root.querySelector('.overlay');
+    const pinsLayer = root.querySelector('.pins');
+    let comments = [];
+    let card = null;
+
+    function updateToggle() {
+        const placing = overlay.classList.contains('active');
+        toggle.classList.toggle('placing', placing);
+        toggle.textContent = placing
+            ? 'Click where your comment applies (Esc to cancel)'
+            : `💬 Feedback${comments.length ? ` (${comments.length})` : ''}`;
+    }
+
+    function setPlacing(placing) {
+        overlay.classList.toggle('active', placing);
+        updateToggle();
+    }
+
+    function closeCard() {
+        if (card) card.remove();
+        card = null;
+    }
+
+    function openCard(x, y) {
+        closeCard();
+        card = document.createElement('div');
+        card.className = 'card';
+        card.style.left = `${x}px`;
+        card.style.top = `${y}px`;
+        pinsLayer.appendChild(card);
+        return card;
+    }
+
+    // Pin of a stored comment; x is a fraction of the page width so pins follow resizes
+    function addPin(comment, number) {
+        const pin = document.createElement('button');
+        pin.className = 'pin';
+        pin.type = 'button';
+        pin.textContent = number;
+        const x = comment.x * document.documentElement.scrollWidth;
+        pin.style.left = `${x}px`;
+        pin.style.top = `${comment.y}px`;
+        pin.addEventListener('click', () => {
+            const view = openCard(x, comment.y);
+            const text = document.createElement('div');
+            text.textContent = comment.text;
+            const meta = document.createElement('div');
+            meta.className = 'meta';
+            meta.textContent = `${comment.name || 'Anonymous'} · ${new Date(comment.createdAt).toLocaleString()}`;
+            view.append(text, meta);
+        });
+        pinsLayer.appendChild(pin);
+    }
+
+    function renderPins() {
+        pinsLayer.querySelectorAll('.pin').forEach(pin => pin.remove());
+        comments.forEach((comment, index) => addPin(comment, index + 1));
+        updateToggle();
+    }
+
+    // The name is remembered for the next comment (storage may be disabled)
+    function readName() {
+        try {
+            return localStorage.getItem(NAME_KEY) || '';
+        } catch {
+            return '';
+        }
+    }
+
+    function saveName(name) {
+        try {
+            localStorage.setItem(NAME_KEY, name);
+        } catch {
+            // Not remembered
+        }
+    }
+
+    function showForm(x, y) {
+        const form = openCard(x, y);
+        form.innerHTML = `<form>
+            <div class="error" hidden></div>
+            <textarea name="text" placeholder="What should change here?" required maxlength="5000"></textarea>
+            <input name="name" placeholder="Your name (optional)" maxlength="100">
+            <div class="actions"><button type="button" data-cancel>Cancel</button><button type="submit">Send</button></div>
+        </form>`;
+        const fields = form.querySelector('form').elements;
+        const error = form.querySelector('.error');
+        fields.name.value = readName();
+        fields.text.focus();
+        form.querySelector('[data-cancel]').addEventListener('click', closeCard);
+
+        form.querySelector('form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const name = fields.name.value.trim();
+            saveName(name);
+            try {
+                const response = await fetch(`${endpoint}/comments`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        prototype,
+                        page,
+                        text: fields.text.value,
+                        name,
+                        x: x / document.documentElement.scrollWidth,
+                        y,
+                        viewport: { width: innerWidth, height: innerHeight },
+                        url: location.href
+                    })
+                });
+                if (!response.ok) throw new Error((await response.json()).error || response.statusText);
+                comments.push(await response.json());
+                closeCard();
+                renderPins();
+            } catch (err) {
+                error.textContent = `Could not send: ${err.message}`;
+                error.hidden = false;
+            }
+        });
+    }
+
+    toggle.addEventListener('click', () => {
+        closeCard();
+        setPlacing(!overlay.classList.contains('active'));
+    });
+
+    overlay.addEventListener('click', (e) => {
+        setPlacing(false);
+        showForm(e.clientX + scrollX, e.clientY + scrollY);
+    });
+
+    // Captured before page handlers; an Esc that closed something isn't passed on
+    // (the navigation bar would otherwise go back to the gallery)
+    window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && (card || overlay.classList.contains('active'))) {
+            e.preventDefault();
+            e.stopPropagation();
+            setPlacing(false);
+            closeCard();
+        }
+    }, true);
+
+    function start() {
+        document.body.appendChild(host);
+        fetch(`${endpoint}/comments?prototype=${encodeURIComponent(prototype)}`)
+            .then(response => (response.ok ? response.json() : []))
+            .then(all => {
+                comments = all.filter(comment => (comment.page || 'index.html') === page);
+                renderPins();
+            })
+            .catch(() => {
+                // Collector unreachable: comments can still be attempted, pins stay empty
+            });
+    }
+
+    if (document.body) {
+        start();
+    } else {
+        document.addEventListener('DOMContentLoaded', start);
+    }
+})();
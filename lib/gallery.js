@@ -0,0 +1,1466 @@
+/**
+ * Gallery engine
+ * Scans the prototypes directory, deploys new and changed prototypes through the configured
+ * provider and generates the gallery (index.html, navigation.js, manifest.json, feed.xml).
+ * createEngine() binds its functions to the settings of one gallery; use it through the
+ * Node API (index.js) or the CLIs (sync-prototypes.js, prototype-manager).
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createProvider } = require('./providers');
+const { loadConfig } = require('./config');
+const { startPreviewServer } = require('./preview-server');
+const { hashPrototype, diffFiles } = require('./digest');
+const { readPrototypeMetadata, sortByOrder } = require('./metadata');
+const { findBrowser, updateThumbnail, AUTHOR_THUMBNAIL } = require('./thumbnails');
+const { buildSearchIndex, loadSearchIndex, saveSearchIndex, INDEX_FILE: SEARCH_INDEX_FILE } = require('./search-index');
+const { readScreens, screenUrl } = require('./screens');
+const { getVersions, getActiveVersion, getChangedAt, addVersion, replaceLatestUrl, findRollbackVersion } = require('./history');
+const { runDeployQueue, runWithRetry } = require('./deploy-queue');
+const { formatTable } = require('./table');
+const { validatePrototype, summarizeReport, formatReport } = require('./validate');
+const { exportSingleFile, offlineTransform } = require('./export');
+const { zipDirectory } = require('./zip');
+const { createManifest, loadManifest, MANIFEST_FILE } = require('./manifest');
+const { renderHub } = require('./hub');
+const { renderAtomFeed, getUpdateEntries, FEED_FILE } = require('./feed');
+const { getVisibility, getPasswordId, loadPasswords, setPassword, gateTransform, missingPasswordError } = require('./visibility');
+const { renderTemplate } = require('./templates');
+const { prepareDeployDir, transformPages } = require('./deploy-dir');
+const { feedbackTransform, fetchComments, fetchCommentCounts, formatComments } = require('./feedback');
+const {
+    navigationTransform, getNavigationTarget, resolveGalleryUrl, saveGalleryDeployment, renderNavigationScript,
+    NAVIGATION_FILE, GALLERY_DEPLOYMENT_FILE
+} = require('./navigation');
+const { runHooks } = require('./hooks');
+const { createWebhookNotifier } = require('./hooks/webhook');
+const { createConsoleLogger, paint } = require('./logger');
+const { ConfigError, DependencyError, NotFoundError, UsageError, ValidationError } = require('./errors');
+
+// Engine of one gallery, for a context of { config, logger, provider, hooks } (see index.js).
+// Every function below closes over these settings, so engines (and the preview servers they
+// start) never share state. Without a context it works on the built-in defaults.
+function createEngine(context = {}) {
+    // Resolved settings (lib/config.js)
+    const CONFIG = context.config || loadConfig({ file: false, env: {} });
+
+    // Deploy provider: created from deployProvider on first use, so a bad provider setting only
+    // fails when deploying (or the one passed in the context)
+    let provider = context.provider || null;
+    function getProvider() {
+        if (!provider) {
+            provider = createProvider(CONFIG.deployProvider);
+        }
+        return provider;
+    }
+
+    // Where progress is reported (see lib/logger.js)
+    const logger = context.logger || createConsoleLogger();
+
+    // Hook functions passed to the API, by hook name (run after the configured hooks)
+    const apiHooks = context.hooks || {};
+
+    const print = (msg) => logger.print(msg);
+
+    const log = {
+        info: (msg) => logger.info(msg),
+        success: (msg) => logger.success(msg),
+        warning: (msg) => logger.warning(msg),
+        error: (msg) => logger.error(msg),
+        section: (msg) => logger.section(msg),
+        item: (msg) => logger.item(msg)
+    };
+
+    // Load or initialize deployment cache
+    async function loadDeploymentCache() {
+        try {
+            const data = await fs.readFile(CONFIG.deploymentCache, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Save deployment cache
+    async function saveDeploymentCache(cache) {
+        await fs.writeFile(CONFIG.deploymentCache, JSON.stringify(cache, null, 2));
+    }
+
+    // Scan prototypes directory structure; folders that are not scanned are added to skipped
+    // as { path, reason } when given
+    async function scanPrototypes(skipped = []) {
+        const prototypes = {};
+
+        try {
+            const features = await fs.readdir(CONFIG.prototypesDir);
+
+            for (const feature of features) {
+                if (CONFIG.excludeDirs.includes(feature)) {
+                    skipped.push({ path: feature, reason: 'excluded (excludeDirs)' });
+                    continue;
+                }
+
+                const featurePath = path.join(CONFIG.prototypesDir, feature);
+                const stat = await fs.stat(featurePath);
+
+                if (stat.isDirectory()) {
+                    prototypes[feature] = [];
+
+                    // Check if this is a direct prototype (has index.html)
+                    const indexPath = path.join(featurePath, 'index.html');
+                    try {
+                        await fs.access(indexPath);
+                        // This is a single prototype
+                        prototypes[feature].push(await readPrototype(feature, featurePath));
+                    } catch {
+                        // This is a feature folder with sub-prototypes
+                        const subItems = await fs.readdir(featurePath);
+
+                        for (const item of subItems) {
+                            if (CONFIG.excludeDirs.includes(item)) {
+                                skipped.push({ path: `${feature}/${item}`, reason: 'excluded (excludeDirs)' });
+                                continue;
+                            }
+
+                            const itemPath = path.join(featurePath, item);
+                            const itemStat = await fs.stat(itemPath);
+
+                            if (itemStat.isDirectory()) {
+                                const subIndexPath = path.join(itemPath, 'index.html');
+                                try {
+                                    await fs.access(subIndexPath);
+                                    prototypes[feature].push(await readPrototype(item, itemPath));
+                                } catch {
+                                    // No index.html, skip
+                                    skipped.push({ path: `${feature}/${item}`, reason: 'no index.html' });
+                                }
+                            }
+                        }
+                    }
+
+                    // Remove empty features, sort the rest by their "order" metadata
+                    if (prototypes[feature].length === 0) {
+                        delete prototypes[feature];
+                    } else {
+                        prototypes[feature] = sortByOrder(prototypes[feature]);
+                    }
+                }
+            }
+        } catch (error) {
+            log.error(`Failed to scan prototypes: ${error.message}`);
+        }
+
+        return prototypes;
+    }
+
+    // Build a prototype entry from its folder, using prototype.json / <meta name="prototype:*"> when present;
+    // its top-level pages are its screens (more than one: a flow, see lib/screens.js)
+    async function readPrototype(slug, prototypePath) {
+        const { metadata, errors } = await readPrototypeMetadata(prototypePath);
+
+        for (const error of errors) {
+            log.warning(`Invalid prototype metadata in ${error.file}: ${error.message}`);
+        }
+
+        const name = metadata.title || formatName(slug);
+        const { screens, missing } = await readScreens(prototypePath, { metadata, name });
+        if (missing.length > 0) {
+            log.warning(`${name}: "screens" lists missing page(s): ${missing.join(', ')}`);
+        }
+
+        return {
+            name,
+            slug,
+            path: prototypePath,
+            description: metadata.description || await extractDescription(path.join(prototypePath, 'index.html')),
+            tags: metadata.tags || [],
+            owner: metadata.owner || null,
+            status: metadata.status || null,
+            created: metadata.created || null,
+            order: metadata.order ?? null,
+            visibility: getVisibility(metadata, CONFIG.visibility.default),
+            navigation: metadata.navigation !== false,
+            screens
+        };
+    }
+
+    // Screens of a prototype with their URLs (null until it is deployed)
+    function getScreens(proto, url) {
+        return (proto.screens || []).map(screen => ({ ...screen, url: url ? screenUrl(url, screen.file) : null }));
+    }
+
+    // Format slug to readable name
+    function formatName(slug) {
+        return slug
+            .replace(/-/g, ' ')
+            .replace(/\b\w/g, l => l.toUpperCase())
+            .replace(/Mockup \d+/, (match) => match.replace(/(\d+)/, '#$1'))
+            .replace(/Ai /g, 'AI ');
+    }
+
+    // Extract description from HTML title or content
+    async function extractDescription(htmlPath) {
+        try {
+            const content = await fs.readFile(htmlPath, 'utf8');
+            const titleMatch = content.match(/<title>(.*?)<\/title>/i);
+            if (titleMatch) {
+                const title = titleMatch[1];
+                // Remove common prefixes and return
+                return title
+                    .replace(/^.*?[-–—]\s*/, '')
+                    .replace(/Prototype/i, '')
+                    .trim() || 'Interactive prototype';
+            }
+        } catch {
+            // Ignore errors
+        }
+        return 'Interactive prototype';
+    }
+
+    // Legacy check for cache entries written before content digests: index.html mtime
+    async function hasChangedSince(prototypePath, lastModified) {
+        try {
+            const stats = await fs.stat(path.join(prototypePath, 'index.html'));
+            return !lastModified || stats.mtime > new Date(lastModified);
+        } catch {
+            return true; // Assume changed if we can't check
+        }
+    }
+
+    // Hash the whole prototype folder and compare it with the cached deployment
+    // Returns { changed, reason, digest, files, diff }
+    async function detectChanges(prototype, cached) {
+        const { digest, files } = await hashPrototype(prototype.path, CONFIG.excludeDirs);
+
+        if (!cached) {
+            return { changed: true, reason: 'new', digest, files };
+        }
+
+        if (!cached.digest) {
+            const changed = await hasChangedSince(prototype.path, cached.lastModified);
+            return { changed, reason: changed ? 'modified since last deploy' : 'unchanged', digest, files };
+        }
+
+        if (cached.digest === digest) {
+            return { changed: false, reason: 'unchanged', digest, files };
+        }
+
+        return { changed: true, reason: 'files changed', digest, files, diff: diffFiles(cached.files, files) };
+    }
+
+    // Print the files that differ from the last deployment
+    function logFileChanges(diff, limit = 10) {
+        const lines = [
+            ...diff.added.map(file => `${paint(logger, 'green', '+')} ${file}`),
+            ...diff.modified.map(file => `${paint(logger, 'yellow', '~')} ${file}`),
+            ...diff.removed.map(file => `${paint(logger, 'red', '-')} ${file}`)
+        ];
+
+        lines.slice(0, limit).forEach(line => print(`      ${line}`));
+        if (lines.length > limit) {
+            print(`      … and ${lines.length - limit} more`);
+        }
+    }
+
+    // Scripts injected into a prototype's deployment: { feedback: collector URL, navigation: gallery URL,
+    // gate: salt of the password (lib/visibility) }, null for the ones it doesn't get. Stored with the
+    // deployment, so changing them (or the password) redeploys it.
+    function getInjections(prototype, galleryUrl, passwords = {}) {
+        const credential = passwords[getPasswordId(CONFIG.prototypesDir, prototype.path)];
+        return {
+            feedback: CONFIG.feedback.enabled ? CONFIG.feedback.endpoint : null,
+            navigation: getNavigationTarget(CONFIG, galleryUrl, prototype),
+            gate: prototype.visibility === 'password' && credential ? credential.salt : null
+        };
+    }
+
+    // What differs from the injections of the last deployment ("navigation bar added"), null if nothing
+    function describeInjectionChange(previous = {}, injections) {
+        const labels = { feedback: 'feedback widget', navigation: 'navigation bar', gate: 'password gate' };
+        const changes = Object.entries(labels)
+            .filter(([key]) => (previous[key] ?? null) !== injections[key])
+            .map(([key, label]) => `${label} ${!previous[key] ? 'added' : !injections[key] ? 'removed' : 'updated'}`);
+        return changes.length > 0 ? changes.join(', ') : null;
+    }
+
+    // The gallery the navigation bars link to: gallery.url, the last gallery deployment, or where the
+    // provider will deploy the gallery when it can tell beforehand (null: not known yet)
+    async function getGalleryUrl() {
+        const provider = getProvider();
+        return await resolveGalleryUrl(CONFIG)
+            || (provider.getUrl ? provider.getUrl({ name: CONFIG.galleryProjectName }) : null);
+    }
+
+    // Decide for every prototype whether it needs deploying: [{ proto, feature, cached, changes, injections,
+    // injectionOnly, deploy, reason }]; injectionOnly: the files are unchanged, only the injected scripts differ.
+    // options.galleryUrl is the gallery the navigation bars link to (null: not known yet)
+    async function planDeployments(prototypes, deploymentCache, { force = false, galleryUrl = null } = {}) {
+        const plan = [];
+        const passwords = await loadPasswords(CONFIG.visibility.passwordsFile);
+
+        for (const [feature, protos] of Object.entries(prototypes)) {
+            for (const proto of protos) {
+                const cached = deploymentCache[proto.slug];
+                const changes = await detectChanges(proto, cached);
+                const injections = getInjections(proto, galleryUrl, passwords);
+                const injectionChange = cached ? describeInjectionChange(cached.injections, injections) : null;
+                let reason = changes.reason;
+
+                if (changes.diff) {
+                    const { added, modified, removed } = changes.diff;
+                    reason = `${added.length + modified.length + removed.length} file(s) changed`;
+                } else if (injectionChange && !changes.changed) {
+                    reason = injectionChange;
+                } else if (force && !changes.changed) {
+                    reason = 'forced';
+                }
+
+                const deploy = changes.changed || Boolean(injectionChange) || force;
+                const injectionOnly = Boolean(injectionChange) && !changes.changed && !force;
+                plan.push({ proto, feature, cached, changes, injections, injectionOnly, deploy, reason });
+            }
+        }
+
+        return plan;
+    }
+
+    // Cache entries whose prototype no longer exists
+    function findOrphans(prototypes, deploymentCache) {
+        const slugs = new Set(Object.values(prototypes).flat().map(proto => proto.slug));
+        return Object.keys(deploymentCache).filter(slug => !slugs.has(slug));
+    }
+
+    // What a sync would do, without deploying or writing anything (see lib/plan.js)
+    async function planSync(options = {}) {
+        const skipped = [];
+        const prototypes = await scanPrototypes(skipped);
+        const deploymentCache = await loadDeploymentCache();
+        const galleryUrl = await getGalleryUrl();
+        const deployments = await planDeployments(prototypes, deploymentCache, { ...options, galleryUrl });
+        const orphans = findOrphans(prototypes, deploymentCache);
+
+        return {
+            command: 'sync',
+            prototypes: [
+                ...deployments.map(({ proto, feature, deploy, reason }) => ({
+                    slug: proto.slug,
+                    name: proto.name,
+                    feature,
+                    action: deploy ? 'deploy' : 'skip',
+                    reason
+                })),
+                ...skipped.map(item => ({ slug: item.path, name: item.path, feature: null, action: 'exclude', reason: item.reason }))
+            ],
+            gallery: [
+                ...deployments.map(({ proto, cached, deploy }) => ({
+                    slug: proto.slug,
+                    name: proto.name,
+                    change: proto.visibility === 'unlisted' ? 'hidden' : !cached ? 'add' : deploy ? 'update' : 'unchanged'
+                })),
+                ...orphans.map(slug => ({ slug, name: deploymentCache[slug].name || slug, change: 'remove' }))
+            ],
+            prune: orphans.map(slug => ({
+                name: slug,
+                url: deploymentCache[slug].url,
+                reason: 'prototype folder deleted - remove with prune'
+            }))
+        };
+    }
+
+    // Validation report (lib/validate.js) of the given prototypes, plus the folders that were
+    // skipped for lacking an index.html
+    async function buildValidationReport(protos, skipped = []) {
+        const options = { excludeDirs: CONFIG.excludeDirs, maxImageSize: CONFIG.validation.maxImageSize };
+        const folders = [
+            ...protos.map(proto => ({ slug: proto.slug, name: proto.name, dir: proto.path })),
+            ...skipped
+                .filter(item => item.reason === 'no index.html')
+                .map(item => ({ slug: item.path, name: item.path, dir: path.join(CONFIG.prototypesDir, item.path) }))
+        ];
+
+        const prototypes = [];
+        for (const { slug, name, dir } of folders) {
+            prototypes.push({ slug, name, path: path.relative(process.cwd(), dir) || '.', issues: await validatePrototype(dir, options) });
+        }
+        return { command: 'validate', prototypes };
+    }
+
+    // Check all prototypes (or the one matching query, by slug, name or folder); resolves with the
+    // validation report (lib/validate.js)
+    async function validatePrototypes(query) {
+        const skipped = [];
+        let prototypes = Object.values(await scanPrototypes(skipped)).flat();
+
+        if (query) {
+            const q = query.toLowerCase();
+            prototypes = prototypes.filter(proto => matchesPrototype(proto, q));
+            skipped.splice(0, skipped.length, ...skipped.filter(item => item.path.toLowerCase() === q));
+            if (prototypes.length === 0 && skipped.length === 0) {
+                throw new NotFoundError(`No prototype found for "${query}"`);
+            }
+        }
+
+        return buildValidationReport(prototypes, skipped);
+    }
+
+    // Whether a prototype is the one meant by a (lowercased) query: its slug, name or folder below
+    // prototypesDir ("checkout/cart")
+    function matchesPrototype(proto, q) {
+        return proto.slug.toLowerCase() === q
+            || proto.name.toLowerCase() === q
+            || getPasswordId(CONFIG.prototypesDir, proto.path).toLowerCase() === q;
+    }
+
+    // Find a scanned prototype by slug, name or folder: { prototype, feature }
+    async function findPrototype(query) {
+        if (!query) {
+            throw new UsageError('Please specify a prototype (slug or name)');
+        }
+
+        const q = query.toLowerCase();
+        for (const [feature, protos] of Object.entries(await scanPrototypes())) {
+            const prototype = protos.find(proto => matchesPrototype(proto, q));
+            if (prototype) {
+                return { prototype, feature };
+            }
+        }
+        throw new NotFoundError(`No prototype found for "${query}"`);
+    }
+
+    // Export a prototype as one HTML file: its index.html with all local assets inlined, written to
+    // options.output (default: <slug>.html, or into options.output when it is a directory)
+    async function exportPrototype(query, options = {}) {
+        const { prototype } = await findPrototype(query);
+        let output = options.output || `${prototype.slug}.html`;
+        if (/[\\/]$/.test(output) || await fs.stat(output).then(stat => stat.isDirectory(), () => false)) {
+            output = path.join(output, `${prototype.slug}.html`);
+        }
+
+        const result = await exportSingleFile(prototype.path);
+        await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+        await fs.writeFile(output, result.html);
+
+        const size = Buffer.byteLength(result.html);
+        log.success(`Exported ${prototype.name} to ${output} (${Math.round(size / 1024)} KB, ${result.inlined.length} file(s) inlined)`);
+
+        const report = (items, message) => {
+            if (items.length === 0) return;
+            log.warning(`${items.length} ${message}:`);
+            items.forEach(item => print(`    ${item}`));
+        };
+        report(result.external, 'external URL(s) not inlined - they still need a network connection');
+        report(result.modules, 'module script(s) importing other files, not inlined');
+        report(result.pages, 'link(s) to other pages, which are not part of the file');
+        report(result.missing, 'referenced file(s) not found');
+        return result;
+    }
+
+    // Write the gallery and every prototype to a zip archive (options.output, default:
+    // <project.name>-gallery-<date>.zip) that can be browsed offline by opening index.html from file://.
+    // Links are relative and point at files; the feedback widget is left out, the navigation bar kept.
+    async function exportGallery(options = {}) {
+        log.section('Exporting gallery...');
+        const prototypes = await scanPrototypes();
+        const protos = Object.values(prototypes).flat();
+        if (protos.length === 0) {
+            throw new NotFoundError(`No prototypes found in ${CONFIG.prototypesDir}`);
+        }
+
+        const name = `${CONFIG.project.name || 'prototype-gallery'}-gallery-${new Date().toISOString().slice(0, 10)}`;
+        let output = options.output || `${name}.zip`;
+        if (/[\\/]$/.test(output) || await fs.stat(output).then(stat => stat.isDirectory(), () => false)) {
+            output = path.join(output, `${name}.zip`);
+        }
+
+        const deploymentCache = await loadDeploymentCache();
+        const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'prototype-export-'));
+        try {
+            const offlineCache = {};
+
+            for (const [feature, featureProtos] of Object.entries(prototypes)) {
+                for (const proto of featureProtos) {
+                    const relativePath = path.relative(CONFIG.prototypesDir, proto.path).split(path.sep).join('/');
+                    const target = path.join(staging, relativePath);
+                    await fs.cp(proto.path, target, {
+                        recursive: true,
+                        filter: source => !CONFIG.excludeDirs.includes(path.basename(source))
+                    });
+
+                    // The bar links to the archive's index.html, relative to the prototype folder
+                    const galleryIndex = `${'../'.repeat(relativePath.split('/').length)}index.html`;
+                    await transformPages(target, [
+                        offlineTransform(),
+                        navigationTransform({
+                            galleryUrl: getNavigationTarget(CONFIG, galleryIndex, proto),
+                            feature,
+                            prototype: proto.slug
+                        }),
+                        gateTransform(await getCredential(proto), { title: proto.name })
+                    ].filter(Boolean));
+
+                    const url = `./${relativePath.split('/').map(encodeURIComponent).join('/')}/`;
+                    let thumbnail = null;
+                    if (await fs.access(path.join(target, AUTHOR_THUMBNAIL)).then(() => true, () => false)) {
+                        thumbnail = `${url}${AUTHOR_THUMBNAIL}`;
+                    } else if (deploymentCache[proto.slug]?.thumbnail) {
+                        const file = deploymentCache[proto.slug].thumbnail;
+                        thumbnail = await fs.mkdir(path.dirname(path.join(staging, file)), { recursive: true })
+                            .then(() => fs.copyFile(path.join(CONFIG.galleryDir, file), path.join(staging, file)))
+                            .then(() => file, () => null);
+                    }
+
+                    const { mtime } = await fs.stat(path.join(proto.path, 'index.html'));
+                    offlineCache[proto.slug] = { url: `${url}index.html`, thumbnail, changedAt: mtime.toISOString() };
+                }
+            }
+
+            const searchIndex = await buildSearchIndex(protos.filter(proto => proto.visibility === 'public'));
+            await fs.writeFile(path.join(staging, 'index.html'), renderGallery(prototypes, offlineCache, { searchIndex }));
+            await fs.writeFile(path.join(staging, NAVIGATION_FILE), renderNavigation(prototypes, offlineCache));
+            await fs.writeFile(path.join(staging, MANIFEST_FILE), renderManifest(prototypes, offlineCache));
+
+            const files = await zipDirectory(staging, output, { prefix: path.basename(output, '.zip') });
+            const { size } = await fs.stat(output);
+            log.success(`Exported ${protos.length} prototype(s) to ${output} (${files} files, ${Math.round(size / 1024)} KB)`);
+            log.info(`Unzip it and open ${path.basename(output, '.zip')}/index.html in a browser`);
+            return { output, prototypes: protos.length, files };
+        } finally {
+            await fs.rm(staging, { recursive: true, force: true });
+        }
+    }
+
+    // Password of a prototype with visibility "password" ({ salt, iterations, key }), null for others
+    async function getCredential(prototype) {
+        if (prototype.visibility !== 'password') return null;
+
+        const id = getPasswordId(CONFIG.prototypesDir, prototype.path);
+        const credential = (await loadPasswords(CONFIG.visibility.passwordsFile))[id];
+        if (!credential) {
+            throw missingPasswordError(prototype.name, id);
+        }
+        return credential;
+    }
+
+    // Deploy prototype through the configured provider, with the scripts of getInjections() added
+    // (and its pages behind the password gate when it is password-protected); signal stops the provider
+    // when the attempt times out (lib/deploy-queue.js)
+    async function deployPrototype(prototype, feature, injections, signal) {
+        const projectName = getDeploymentName(prototype.slug);
+
+        log.item(`Deploying ${prototype.name}...`);
+        const credential = await getCredential(prototype);
+        const deployDir = await prepareDeployDir(prototype.path, {
+            transforms: [
+                feedbackTransform({ enabled: Boolean(injections.feedback), endpoint: injections.feedback, prototype: prototype.slug }),
+                navigationTransform({ galleryUrl: injections.navigation, feature, prototype: prototype.slug }),
+                gateTransform(credential, { title: prototype.name })
+            ].filter(Boolean),
+            excludeDirs: CONFIG.excludeDirs
+        });
+        try {
+            const url = await getProvider().deploy({ dir: deployDir.dir, name: projectName, signal });
+            log.success(`${prototype.name} deployed to: ${url}`);
+            return url;
+        } finally {
+            await deployDir.cleanup();
+        }
+    }
+
+    // Name a prototype is deployed under (the Vercel project name)
+    function getDeploymentName(slug) {
+        return `${CONFIG.vercelProjectPrefix}${slug}`;
+    }
+
+    // Retry settings of the deployment queue (timeout applies to each attempt)
+    function deployRetryOptions() {
+        return {
+            retries: CONFIG.deployQueue.retries,
+            retryDelay: CONFIG.deployQueue.retryDelay,
+            timeout: CONFIG.deployProvider.timeout,
+            onRetry: (task, error, attempt, delay) => logRetry(task.label, error, attempt, delay)
+        };
+    }
+
+    function logRetry(label, error, attempt, delay) {
+        log.warning(`${label}: attempt ${attempt} failed (${describeError(error)}), retrying in ${(delay / 1000).toFixed(1)}s`);
+    }
+
+    // One-line reason of a failed attempt: the last line the command printed to stderr, if any
+    function describeError(error) {
+        const stderr = String(error.stderr || '').trim().split('\n').pop();
+        return stderr || String(error.message).split('\n')[0];
+    }
+
+    // Table of deployment results: one row per prototype, then the totals
+    function printDeploySummary(results) {
+        const rows = results.map(({ task, value, error, attempts, duration }) => [
+            task.label,
+            error ? paint(logger, 'red', '✗ failed') : paint(logger, 'green', '✓ deployed'),
+            String(attempts),
+            `${(duration / 1000).toFixed(1)}s`,
+            error ? describeError(error) : value
+        ]);
+
+        log.section('Deployment summary');
+        formatTable(['Prototype', 'Result', 'Attempts', 'Time', 'URL / error'], rows).forEach(line => print(line));
+
+        const failed = results.filter(result => result.error).length;
+        const retried = results.filter(result => result.attempts > 1).length;
+        const summary = `${results.length - failed} deployed, ${retried} retried, ${failed} failed`;
+        if (failed > 0) {
+            log.error(summary);
+        } else {
+            log.success(summary);
+        }
+    }
+
+    // Copy author thumbnails or render screenshots for new and changed prototypes
+    async function updateThumbnails(prototypes, deploymentCache, digests) {
+        const browser = await findBrowser(CONFIG.thumbnails.browserPath);
+        const counts = { author: 0, rendered: 0, cached: 0 };
+        let missing = 0;
+
+        for (const protos of Object.values(prototypes)) {
+            for (const proto of protos) {
+                const cached = deploymentCache[proto.slug];
+
+                // Unlisted prototypes are not in the gallery, and a thumbnail would be published with it.
+                // Screenshots would show password-protected pages in the gallery; only author thumbnails are used.
+                const hasAuthorThumbnail = await fs.access(path.join(proto.path, AUTHOR_THUMBNAIL)).then(() => true, () => false);
+                if (proto.visibility === 'unlisted' || (proto.visibility === 'password' && !hasAuthorThumbnail)) {
+                    if (cached?.thumbnail) {
+                        await fs.rm(path.join(CONFIG.galleryDir, cached.thumbnail), { force: true });
+                    }
+                    if (cached) {
+                        delete cached.thumbnail;
+                        delete cached.thumbnailDigest;
+                    }
+                    continue;
+                }
+
+                try {
+                    const result = await updateThumbnail(proto, digests[proto.slug], cached, {
+                        ...CONFIG.thumbnails,
+                        galleryDir: CONFIG.galleryDir,
+                        browser
+                    });
+
+                    if (!result) {
+                        missing++;
+                        continue;
+                    }
+
+                    counts[result.source]++;
+                    if (cached) {
+                        cached.thumbnail = result.thumbnail;
+                        cached.thumbnailDigest = result.thumbnailDigest;
+                    }
+                } catch (error) {
+                    log.warning(`Could not create thumbnail for ${proto.name}: ${error.message}`);
+                }
+            }
+        }
+
+        log.success(`Thumbnails: ${counts.rendered} rendered, ${counts.author} from ${AUTHOR_THUMBNAIL}, ${counts.cached} unchanged`);
+        if (missing > 0 && !browser) {
+            log.info(`${missing} prototype(s) without thumbnail - install Chrome/Chromium (or set CHROME_PATH) to render them`);
+        }
+    }
+
+    // Rebuild the search index, re-extracting only prototypes whose digest changed. Only public
+    // prototypes are indexed, since the index is published with the gallery.
+    async function updateSearchIndex(prototypes, digests) {
+        const previous = await loadSearchIndex(CONFIG.galleryDir);
+        const protos = Object.values(prototypes).flat().filter(proto => proto.visibility === 'public');
+        const index = await buildSearchIndex(protos, previous, digests);
+        const extracted = protos.filter(proto => index[proto.slug] !== previous[proto.slug]).length;
+
+        await saveSearchIndex(CONFIG.galleryDir, index);
+        log.success(`Indexed ${protos.length} prototype(s)${extracted ? ` (${extracted} re-extracted)` : ''}`);
+        return index;
+    }
+
+    // Drop unlisted prototypes (and features left empty); they are deployed but not listed
+    function getVisiblePrototypes(prototypes) {
+        return Object.fromEntries(
+            Object.entries(prototypes)
+                .map(([feature, protos]) => [feature, protos.filter(proto => proto.visibility !== 'unlisted')])
+                .filter(([, protos]) => protos.length > 0)
+        );
+    }
+
+    // Render gallery HTML with the configured theme and templates (lib/templates);
+    // deploymentCache maps each prototype slug to its { url, timestamp, thumbnail, versions }
+    // (or { url, changedAt } when there is no history).
+    // extras.searchIndex maps slugs to { headings, text } for the ⌘K palette (lib/search-index),
+    // extras.commentCounts to the number of feedback comments (null: feedback disabled)
+    function renderGallery(allPrototypes, deploymentCache, extras = {}) {
+        const { searchIndex = {}, commentCounts = null, feed = null } = extras;
+        const prototypes = getVisiblePrototypes(allPrototypes);
+        const { project, gallery } = CONFIG;
+
+        const features = Object.entries(prototypes).map(([feature, protos]) => ({
+            name: feature,
+            title: feature.replace(/-/g, ' '),
+            prototypes: protos.map(proto => {
+                const deployment = deploymentCache[proto.slug];
+                const active = getActiveVersion(deployment);
+
+                return {
+                    name: proto.name,
+                    slug: proto.slug,
+                    feature,
+                    description: proto.description,
+                    tags: proto.tags || [],
+                    owner: proto.owner,
+                    status: proto.status,
+                    created: proto.created,
+                    locked: proto.visibility === 'password',
+                    url: deployment?.url || '#',
+                    pending: !deployment?.url,
+                    thumbnail: deployment?.thumbnail || null,
+                    deployedAt: deployment?.timestamp || null,
+                    changedAt: deployment?.changedAt || getChangedAt(deployment),
+                    comments: commentCounts ? commentCounts[proto.slug] || 0 : null,
+                    versions: getVersions(deployment).slice().reverse().map(v => ({ ...v, active: v.version === active.version })),
+                    screens: getScreens(proto, deployment?.url),
+                    headings: searchIndex[proto.slug]?.headings || [],
+                    text: searchIndex[proto.slug]?.text || ''
+                };
+            })
+        }));
+
+        return renderTemplate(
+            { project, gallery, generatedAt: new Date(), feed, features },
+            { theme: gallery.theme, templateDir: gallery.templateDir }
+        );
+    }
+
+    // navigation.js, read by the navigation bars of deployed prototypes (lib/navigation):
+    // the listed prototypes with a deployment, per feature in gallery order
+    function renderNavigation(allPrototypes, deploymentCache) {
+        const features = Object.entries(getVisiblePrototypes(allPrototypes)).map(([feature, protos]) => ({
+            name: feature,
+            title: feature.replace(/-/g, ' '),
+            prototypes: protos
+                .filter(proto => deploymentCache[proto.slug]?.url)
+                .map(proto => ({ slug: proto.slug, name: proto.name, url: deploymentCache[proto.slug].url }))
+        }));
+
+        return renderNavigationScript(features);
+    }
+
+    // manifest.json for other tools, like the hub page or a docs site (lib/manifest.js): the project
+    // and its listed prototypes with their metadata and deployments; galleryUrl is where the gallery
+    // is deployed (null: not known)
+    function renderManifest(allPrototypes, deploymentCache, galleryUrl = null) {
+        const features = Object.entries(getVisiblePrototypes(allPrototypes)).map(([feature, protos]) => ({
+            name: feature,
+            title: feature.replace(/-/g, ' '),
+            prototypes: protos.map(proto => {
+                const deployment = deploymentCache[proto.slug];
+                const active = getActiveVersion(deployment);
+                return {
+                    slug: proto.slug,
+                    name: proto.name,
+                    description: proto.description,
+                    url: deployment?.url || null,
+                    tags: proto.tags,
+                    owner: proto.owner,
+                    status: proto.status,
+                    created: proto.created,
+                    locked: proto.visibility === 'password',
+                    thumbnail: deployment?.thumbnail || null,
+                    deployedAt: deployment?.timestamp || active?.timestamp || null,
+                    updatedAt: deployment?.changedAt || getChangedAt(deployment) || null,
+                    versions: getVersions(deployment).map(v => ({
+                        version: v.version,
+                        url: v.url,
+                        deployedAt: v.timestamp || null,
+                        note: v.note || null,
+                        active: v.version === active.version
+                    })),
+                    screens: getScreens(proto, deployment?.url)
+                };
+            })
+        }));
+
+        return JSON.stringify(createManifest({ project: CONFIG.project, url: galleryUrl, features }), null, 2) + '\n';
+    }
+
+    // feed.xml (lib/feed.js): the deployments that added or changed a listed prototype, newest first
+    function renderFeed(allPrototypes, deploymentCache, galleryUrl = null) {
+        const entries = Object.entries(getVisiblePrototypes(allPrototypes)).flatMap(([feature, protos]) =>
+            protos.flatMap(proto => getUpdateEntries(
+                { ...proto, feature: feature.replace(/-/g, ' ') },
+                getVersions(deploymentCache[proto.slug]),
+                { projectName: CONFIG.project.name || 'gallery' }
+            )));
+
+        return renderAtomFeed({ project: CONFIG.project, url: galleryUrl, entries, limit: CONFIG.feed.limit });
+    }
+
+    // Generate gallery HTML (plus navigation.js, manifest.json and feed.xml); without a searchIndex
+    // the one saved by the last sync is used. Resolves with { dir, files }.
+    async function generateGallery(prototypes, deploymentCache, searchIndex) {
+        const galleryUrl = await getGalleryUrl();
+        const html = renderGallery(prototypes, deploymentCache, {
+            searchIndex: searchIndex || await loadSearchIndex(CONFIG.galleryDir),
+            commentCounts: await loadCommentCounts(),
+            feed: FEED_FILE
+        });
+        await fs.writeFile(path.join(CONFIG.galleryDir, 'index.html'), html);
+        await fs.writeFile(path.join(CONFIG.galleryDir, NAVIGATION_FILE), renderNavigation(prototypes, deploymentCache));
+        await fs.writeFile(path.join(CONFIG.galleryDir, MANIFEST_FILE), renderManifest(prototypes, deploymentCache, galleryUrl));
+        await fs.writeFile(path.join(CONFIG.galleryDir, FEED_FILE), renderFeed(prototypes, deploymentCache, galleryUrl));
+        log.success('Gallery updated');
+        return { dir: CONFIG.galleryDir, files: ['index.html', NAVIGATION_FILE, MANIFEST_FILE, FEED_FILE] };
+    }
+
+    // Comment counts from the feedback collector; null when feedback is off or the collector is unreachable
+    async function loadCommentCounts() {
+        if (!CONFIG.feedback.enabled) return null;
+
+        try {
+            return await fetchCommentCounts(CONFIG.feedback.endpoint);
+        } catch (error) {
+            log.warning(`Could not load comment counts: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Local URL of a prototype: its path relative to the prototypes directory
+    function getLocalUrl(prototype) {
+        const relativePath = path.relative(CONFIG.prototypesDir, prototype.path);
+        return '/' + relativePath.split(path.sep).map(encodeURIComponent).join('/') + '/';
+    }
+
+    // Serve the gallery and every prototype locally, reloading browsers on changes
+    async function servePrototypes(port) {
+        log.section('Starting preview server...');
+
+        const renderLocalGallery = async () => {
+            const prototypes = await scanPrototypes();
+            const localCache = {};
+            const searchIndex = await buildSearchIndex(Object.values(prototypes).flat());
+
+            for (const protos of Object.values(prototypes)) {
+                for (const proto of protos) {
+                    const url = getLocalUrl(proto);
+                    const hasThumbnail = await fs.access(path.join(proto.path, AUTHOR_THUMBNAIL)).then(() => true, () => false);
+                    const { mtime } = await fs.stat(path.join(proto.path, 'index.html'));
+                    localCache[proto.slug] = {
+                        url,
+                        thumbnail: hasThumbnail ? `${url}${AUTHOR_THUMBNAIL}` : null,
+                        changedAt: mtime.toISOString()
+                    };
+                }
+            }
+
+            return renderGallery(prototypes, localCache, { searchIndex });
+        };
+
+        const server = await startPreviewServer({
+            rootDir: CONFIG.prototypesDir,
+            port,
+            renderGallery: renderLocalGallery,
+            onChange: (file) => log.item(`Changed: ${file || CONFIG.prototypesDir} - reloading browsers`)
+        });
+
+        const url = `http://localhost:${server.address().port}/`;
+        log.success(`Gallery preview running at ${url}`);
+        log.info(`Watching ${CONFIG.prototypesDir} for changes (Ctrl+C to stop)`);
+        return server;
+    }
+
+    // Deploy the generated gallery (with retries); resolves with { url } or { error }
+    async function deployGallery() {
+        log.section('Deploying gallery...');
+        // The sync keeps its state next to the gallery; it lists unlisted prototypes, so it is not published
+        const internalFiles = [CONFIG.deploymentCache, GALLERY_DEPLOYMENT_FILE, SEARCH_INDEX_FILE]
+            .map(file => path.relative(CONFIG.galleryDir, path.resolve(CONFIG.galleryDir, file)))
+            .filter(file => !file.startsWith('..') && !path.isAbsolute(file));
+        const deployDir = await prepareDeployDir(CONFIG.galleryDir, { excludeFiles: internalFiles });
+        let result;
+        try {
+            result = await runWithRetry(
+                (signal) => getProvider().deploy({ dir: deployDir.dir, name: CONFIG.galleryProjectName, signal }),
+                { ...deployRetryOptions(), onRetry: (error, attempt, delay) => logRetry('Gallery', error, attempt, delay) }
+            );
+        } finally {
+            await deployDir.cleanup();
+        }
+        const { value, error } = result;
+
+        if (error) {
+            log.error(`Failed to deploy gallery: ${error.message}`);
+            return { error };
+        }
+        // Navigation bars and feeds link to the gallery, not to one of its versions
+        const provider = getProvider();
+        const url = (provider.getUrl && provider.getUrl({ name: CONFIG.galleryProjectName })) || value;
+        log.success(`Gallery deployed to: ${url}`);
+        await saveGalleryDeployment(CONFIG.galleryDir, url);
+        return { url };
+    }
+
+    // Generate the hub page linking several galleries from their manifest.json (lib/hub.js).
+    // sources: manifest files, gallery folders or gallery URLs (default: hub.sources);
+    // options.output: where to write it (default: hub.output). Unreachable sources get an error section.
+    async function generateHub(sources = [], options = {}) {
+        const list = sources.length > 0 ? sources : CONFIG.hub.sources;
+        if (list.length === 0) {
+            throw new UsageError('No galleries to list: pass manifest files, gallery folders or gallery URLs, or set hub.sources');
+        }
+
+        const output = path.resolve(options.output || CONFIG.hub.output);
+        const projects = [];
+        log.section('Generating hub page...');
+        for (const source of list) {
+            try {
+                const { manifest, location } = await loadManifest(source, { outputDir: path.dirname(output) });
+                log.item(`${manifest.project.title}: ${manifest.counts?.prototypes ?? 0} prototype(s) from ${location}`);
+                projects.push({ source, manifest });
+            } catch (error) {
+                log.warning(error.message);
+                projects.push({ source, error });
+            }
+        }
+
+        const loaded = projects.filter(project => project.manifest).length;
+        if (loaded === 0) {
+            throw new NotFoundError('None of the manifests could be loaded');
+        }
+
+        await fs.mkdir(path.dirname(output), { recursive: true });
+        await fs.writeFile(output, renderHub({ title: CONFIG.hub.title, description: CONFIG.hub.description, projects }));
+        log.success(`Hub page with ${loaded} project(s) written to ${path.relative(process.cwd(), output) || output}`);
+        return { output, projects: loaded, failed: projects.length - loaded };
+    }
+
+    // Find the cache entry of a prototype by slug, name or folder ("checkout/cart")
+    function findCacheEntry(deploymentCache, query) {
+        if (!query) {
+            throw new UsageError('Please specify a prototype (slug or name)');
+        }
+
+        const q = query.toLowerCase();
+        const slug = Object.keys(deploymentCache).find(key =>
+            key.toLowerCase() === q
+            || (deploymentCache[key].name || '').toLowerCase() === q
+            || `${deploymentCache[key].feature}/${key}`.toLowerCase() === q
+        );
+        if (!slug) {
+            throw new NotFoundError(`No deployments found for "${query}"`);
+        }
+
+        return { slug, entry: deploymentCache[slug] };
+    }
+
+    // Every deployment of a prototype, newest first: { slug, name, versions, activeVersion, rolledBack }
+    async function getHistory(query) {
+        const deploymentCache = await loadDeploymentCache();
+        const { slug, entry } = findCacheEntry(deploymentCache, query);
+        const versions = getVersions(entry);
+        const active = getActiveVersion(entry);
+
+        return {
+            slug,
+            name: entry.name || slug,
+            versions: versions.slice().reverse().map(v => ({ ...v, active: v.version === active.version })),
+            activeVersion: active.version,
+            rolledBack: Boolean(entry.activeVersion) && active.version !== versions[versions.length - 1].version
+        };
+    }
+
+    // The feedback comments of a prototype: { slug, name, comments }; options.exportFile also writes
+    // them to a .json, .csv or .md file
+    async function getFeedback(query, options = {}) {
+        if (!CONFIG.feedback.endpoint) {
+            throw new ConfigError('No feedback collector configured - set feedback.endpoint in gallery.config.json');
+        }
+        if (!query) {
+            throw new UsageError('Please specify a prototype (slug or name)');
+        }
+
+        // Comments are stored by slug; names are looked up in the deployment cache
+        const deploymentCache = await loadDeploymentCache();
+        let slug = query;
+        try {
+            slug = findCacheEntry(deploymentCache, query).slug;
+        } catch {
+            // Not deployed by this gallery (e.g. deploy.sh): use the slug as given
+        }
+        const comments = await fetchComments(CONFIG.feedback.endpoint, slug);
+
+        if (options.exportFile) {
+            await fs.writeFile(options.exportFile, formatComments(slug, comments, options.exportFile));
+            log.success(`Exported ${comments.length} comment(s) on ${slug} to ${options.exportFile}`);
+        }
+        return { slug, name: deploymentCache[slug]?.name || slug, comments };
+    }
+
+    // Point the gallery at an earlier deployment (default: the one before the active version);
+    // resolves with { slug, version, url, galleryDeployed }
+    async function rollbackPrototype(query, version) {
+        const deploymentCache = await loadDeploymentCache();
+        const { slug, entry } = findCacheEntry(deploymentCache, query);
+        const target = findRollbackVersion(entry, version);
+
+        // The digest stays that of the latest deployment, so unchanged files do not undo the rollback
+        entry.versions = getVersions(entry);
+        entry.activeVersion = target.version;
+        entry.url = target.url;
+        entry.timestamp = target.timestamp;
+        await saveDeploymentCache(deploymentCache);
+        log.success(`${entry.name || slug} now points at v${target.version}: ${target.url}`);
+
+        log.section('Generating gallery...');
+        await generateGallery(await scanPrototypes(), deploymentCache);
+        const gallery = await deployGallery();
+        return { slug, version: target.version, url: target.url, galleryDeployed: !gallery.error };
+    }
+
+    // Remove cache entries (and thumbnails) of prototypes deleted from disk; with options.remote
+    // also their deployments through the provider. Without options.yes, options.confirm(question)
+    // is asked first. Resolves with { orphans, removed, failed, cancelled } (lists of slugs).
+    async function pruneDeployments({ yes = false, remote = false, dryRun = false, confirm = null } = {}) {
+        const prototypes = await scanPrototypes();
+        const deploymentCache = await loadDeploymentCache();
+        const orphans = findOrphans(prototypes, deploymentCache);
+        const result = { orphans, removed: [], failed: [], cancelled: false };
+
+        log.section('Orphaned deployments');
+        if (orphans.length === 0) {
+            log.success('Nothing to prune');
+            return result;
+        }
+
+        const targetOf = (slug) => deploymentCache[slug].target || getDeploymentName(slug);
+        formatTable(
+            ['Prototype', 'Deployed as', 'URL'],
+            orphans.map(slug => [slug, targetOf(slug), deploymentCache[slug].url || ''])
+        ).forEach(line => print(line));
+
+        if (dryRun) {
+            log.info(`Dry run: would remove ${orphans.length} entr${orphans.length === 1 ? 'y' : 'ies'}${remote ? ' and their deployments' : ''}`);
+            return result;
+        }
+
+        if (remote && !getProvider().remove) {
+            throw new UsageError(`The ${getProvider().type} deploy provider cannot remove deployments (for the command provider, set deployProvider.removeCommand)`);
+        }
+
+        if (!yes) {
+            if (!confirm) {
+                throw new UsageError('Refusing to prune without confirmation; pass --yes to prune non-interactively');
+            }
+            const what = remote ? 'from the deployment cache and delete their deployments' : 'from the deployment cache';
+            if (!await confirm(`Remove ${orphans.length} orphaned entr${orphans.length === 1 ? 'y' : 'ies'} ${what}?`)) {
+                log.info('Prune cancelled');
+                return { ...result, cancelled: true };
+            }
+        }
+
+        for (const slug of orphans) {
+            if (remote) {
+                try {
+                    await getProvider().remove({ name: targetOf(slug) });
+                    log.success(`Removed deployment ${targetOf(slug)}`);
+                } catch (error) {
+                    // Keep the entry so the next prune tries again
+                    log.error(`Could not remove deployment ${targetOf(slug)}: ${describeError(error)}`);
+                    result.failed.push(slug);
+                    continue;
+                }
+            }
+
+            const { thumbnail } = deploymentCache[slug];
+            if (thumbnail) {
+                await fs.rm(path.join(CONFIG.galleryDir, thumbnail), { force: true });
+            }
+            delete deploymentCache[slug];
+            result.removed.push(slug);
+            log.success(`Removed ${slug} from ${path.basename(CONFIG.deploymentCache)}`);
+        }
+
+        await saveDeploymentCache(deploymentCache);
+        return result;
+    }
+
+    // Run the handlers of a lifecycle hook (lib/hooks): the configured commands and modules, the
+    // functions passed to the API, then the webhook notifier. details: the hook's payload.
+    async function runLifecycleHooks(name, details) {
+        const notifier = CONFIG.notify.webhook ? createWebhookNotifier(CONFIG.notify) : null;
+        const handlers = [
+            ...CONFIG.hooks[name],
+            ...[].concat(apiHooks[name] || []),
+            ...(notifier?.[name] ? [notifier] : [])
+        ];
+        if (handlers.length === 0) return;
+
+        log.section(`Running ${name} hooks...`);
+        const payload = {
+            hook: name,
+            project: { name: CONFIG.project.name, title: CONFIG.project.title },
+            timestamp: new Date().toISOString(),
+            ...details
+        };
+        await runHooks(name, handlers, payload, { timeout: CONFIG.hooks.timeout, logger, config: CONFIG });
+    }
+
+    // Deployment results as they go into hook payloads (errors as their one-line reason)
+    function describeDeployments(deployments) {
+        return deployments.map(deployment => ({ ...deployment, error: deployment.error && describeError(deployment.error) }));
+    }
+
+    function describeFailure(slug, name, error) {
+        return { slug, name, message: describeError(error), code: error.code || null };
+    }
+
+    // Print the validation report of the prototypes about to be deployed; errors throw a
+    // ValidationError unless options.force is set
+    function checkValidation(report, options) {
+        if (report.prototypes.length === 0) return;
+
+        log.section('Validating prototypes...');
+        const validation = summarizeReport(report);
+        if (validation.errors + validation.warnings > 0) {
+            print(formatReport(report));
+        } else {
+            log.success(`${validation.prototypes} prototype(s) checked, no problems found`);
+        }
+
+        if (validation.errors > 0 && !options.force) {
+            throw new ValidationError(`Not deploying: ${validation.errors} validation error(s). Fix them, or deploy anyway with --force`, { report });
+        }
+        if (validation.errors > 0) {
+            log.warning('Deploying despite validation errors (--force)');
+        }
+    }
+
+    // Store a deployment in the cache, keeping the earlier ones in its history. Redeploys that only
+    // changed the injected scripts are the same content, so they update the latest version's URL.
+    // job: { proto, feature, changes, injections, injectionOnly } as planned by planDeployments()
+    function recordDeployment(deploymentCache, { proto, feature, changes, injections, injectionOnly }, url, note) {
+        const cached = deploymentCache[proto.slug];
+        const timestamp = new Date().toISOString();
+        const history = injectionOnly && cached
+            ? replaceLatestUrl(cached, url)
+            : addVersion(cached, { url, timestamp, digest: changes.digest, note });
+        deploymentCache[proto.slug] = {
+            ...(cached && { thumbnail: cached.thumbnail, thumbnailDigest: cached.thumbnailDigest }),
+            // A rolled-back entry keeps pointing at its version
+            url: history.versions.find(version => version.version === history.activeVersion).url,
+            digest: changes.digest,
+            files: changes.files,
+            timestamp,
+            feature,
+            name: proto.name,
+            target: getDeploymentName(proto.slug),
+            injections,
+            ...history
+        };
+    }
+
+    // Deploy one prototype (by slug, name or folder), changed or not, and record it in the deployment
+    // cache; the gallery picks it up on the next sync. options: { note, force } as for a sync.
+    // Resolves with { slug, name, feature, change, url, attempts, duration }; a failed deployment throws.
+    async function deploySinglePrototype(query, options = {}) {
+        try {
+            return await runSingleDeploy(query, options);
+        } catch (error) {
+            await runLifecycleHooks('onError', {
+                galleryUrl: await getGalleryUrl(),
+                stopped: true,
+                errors: [describeFailure(null, query, error)]
+            });
+            throw error;
+        }
+    }
+
+    async function runSingleDeploy(query, options) {
+        const { prototype, feature } = await findPrototype(query);
+        const deploymentCache = await loadDeploymentCache();
+        const galleryUrl = await getGalleryUrl();
+        const [job] = await planDeployments({ [feature]: [prototype] }, deploymentCache, { force: true, galleryUrl });
+        const change = job.cached ? 'updated' : 'new';
+
+        checkValidation(await buildValidationReport([prototype]), options);
+        await runLifecycleHooks('beforeDeploy', {
+            galleryUrl,
+            prototypes: [{ slug: prototype.slug, name: prototype.name, feature, change, reason: job.reason }]
+        });
+
+        const [{ value: url, error, attempts, duration }] = await runDeployQueue(
+            [{ ...job, label: prototype.name, run: (signal) => deployPrototype(prototype, feature, job.injections, signal) }],
+            { ...deployRetryOptions(), concurrency: 1 }
+        );
+        if (url) {
+            recordDeployment(deploymentCache, job, url, options.note);
+            await saveDeploymentCache(deploymentCache);
+        }
+
+        const deployment = { slug: prototype.slug, name: prototype.name, feature, change, url: url || null, attempts, duration };
+        await runLifecycleHooks('afterDeploy', { galleryUrl, deployments: describeDeployments([{ ...deployment, error: error || null }]) });
+        if (error) {
+            if (attempts > 1) {
+                error.message = `${error.message} (after ${attempts} attempts)`;
+            }
+            throw error;
+        }
+        return deployment;
+    }
+
+    // Set the password of a prototype, or remove it (password null). Only a key derived from it is
+    // stored, in visibility.passwordsFile. Resolves with { slug, name, id, file, gated }; gated
+    // tells whether the prototype's visibility is "password", so its deployments use it.
+    async function setPrototypePassword(query, password) {
+        const { prototype } = await findPrototype(query);
+        const id = getPasswordId(CONFIG.prototypesDir, prototype.path);
+        await setPassword(CONFIG.visibility.passwordsFile, id, password);
+        return {
+            slug: prototype.slug,
+            name: prototype.name,
+            id,
+            file: CONFIG.visibility.passwordsFile,
+            gated: prototype.visibility === 'password'
+        };
+    }
+
+    // Main sync function; options.note is stored with every deployment of this run,
+    // options.force redeploys unchanged prototypes and deploys despite validation errors.
+    // Failed deployments are reported in the result; validation errors throw a ValidationError.
+    // Lifecycle hooks run along the way, onError also when the sync throws.
+    async function syncPrototypes(options = {}) {
+        try {
+            return await runSync(options);
+        } catch (error) {
+            await runLifecycleHooks('onError', {
+                galleryUrl: await getGalleryUrl(),
+                stopped: true,
+                errors: [describeFailure(null, 'Sync', error)]
+            });
+            throw error;
+        }
+    }
+
+    async function runSync(options) {
+        await runLifecycleHooks('beforeScan', { prototypesDir: CONFIG.prototypesDir });
+
+        // Step 1: Scan prototypes
+        log.section('Scanning prototypes directory...');
+        const skipped = [];
+        const prototypes = await scanPrototypes(skipped);
+
+        const totalCount = Object.values(prototypes).reduce((sum, arr) => sum + arr.length, 0);
+        log.success(`Found ${totalCount} prototypes in ${Object.keys(prototypes).length} features`);
+
+        for (const [feature, protos] of Object.entries(prototypes)) {
+            log.info(`${feature}: ${protos.length} prototype(s)`);
+        }
+
+        // Step 2: Load deployment cache
+        log.section('Loading deployment cache...');
+        const deploymentCache = await loadDeploymentCache();
+
+        const orphans = findOrphans(prototypes, deploymentCache);
+        if (orphans.length > 0) {
+            log.warning(`${orphans.length} deployment(s) without a prototype folder: ${orphans.join(', ')}`);
+            log.info('Remove them with: node sync-prototypes.js prune [--remote]');
+        }
+
+        // Step 3: Check for changes and deploy
+        log.section('Checking for changes...');
+        const galleryUrl = await getGalleryUrl();
+        if (CONFIG.navigation.enabled && !galleryUrl) {
+            log.info('Navigation bars are added once the gallery URL is known (after the first gallery deployment, or set gallery.url)');
+        }
+        const plan = await planDeployments(prototypes, deploymentCache, { ...options, galleryUrl });
+        const pending = [];
+        const digests = {};
+
+        for (const { proto, feature, cached, changes, injections, injectionOnly, deploy, reason } of plan) {
+            digests[proto.slug] = changes.digest;
+
+            if (deploy) {
+                log.item(`${proto.name} - ${reason}${changes.diff ? ':' : ''}`);
+                if (changes.diff) {
+                    logFileChanges(changes.diff);
+                }
+                pending.push({ proto, feature, changes, injections, injectionOnly, reason, change: cached ? 'updated' : 'new' });
+            } else {
+                if (!cached.digest) {
+                    // Adopt the digest of a legacy cache entry without redeploying
+                    cached.digest = changes.digest;
+                    cached.files = changes.files;
+                    delete cached.lastModified;
+                }
+                log.item(`${proto.name} - no changes, using cached URL`);
+            }
+        }
+
+        // Folders without index.html are not deployed, so they only get a mention (see validate)
+        const withoutIndex = skipped.filter(item => item.reason === 'no index.html').map(item => item.path);
+        if (withoutIndex.length > 0) {
+            log.warning(`Skipped ${withoutIndex.length} folder(s) without index.html: ${withoutIndex.join(', ')}`);
+        }
+
+        // Validate what is about to be deployed; errors stop the sync unless forced
+        checkValidation(await buildValidationReport(pending.map(job => job.proto)), options);
+
+        if (pending.length > 0) {
+            await runLifecycleHooks('beforeDeploy', {
+                galleryUrl,
+                prototypes: pending.map(({ proto, feature, change, reason }) => ({ slug: proto.slug, name: proto.name, feature, change, reason }))
+            });
+        }
+
+        let results = [];
+        if (pending.length > 0) {
+            log.section(`Deploying ${pending.length} prototype(s), ${CONFIG.deployQueue.concurrency} at a time...`);
+            results = await runDeployQueue(
+                pending.map(job => ({ ...job, label: job.proto.name, run: (signal) => deployPrototype(job.proto, job.feature, job.injections, signal) })),
+                { ...deployRetryOptions(), concurrency: CONFIG.deployQueue.concurrency }
+            );
+
+            for (const { task, value: url } of results) {
+                if (url) {
+                    recordDeployment(deploymentCache, task, url, options.note);
+                }
+            }
+
+            printDeploySummary(results);
+        } else {
+            log.info('All prototypes up to date');
+        }
+        const failed = results.filter(result => result.error).length;
+        const deployments = results.map(({ task, value, error, attempts, duration }) => ({
+            slug: task.proto.slug,
+            name: task.proto.name,
+            feature: task.feature,
+            change: task.change,
+            url: value || null,
+            error: error || null,
+            attempts,
+            duration
+        }));
+        if (deployments.length > 0) {
+            await runLifecycleHooks('afterDeploy', { galleryUrl, deployments: describeDeployments(deployments) });
+        }
+
+        // Step 4: Update thumbnails
+        log.section('Updating thumbnails...');
+        await updateThumbnails(prototypes, deploymentCache, digests);
+
+        // Step 5: Save deployment cache
+        await saveDeploymentCache(deploymentCache);
+
+        // Step 6: Index prototype content for the ⌘K palette
+        log.section('Updating search index...');
+        const searchIndex = await updateSearchIndex(prototypes, digests);
+
+        // Step 7: Generate gallery
+        log.section('Generating gallery...');
+        await generateGallery(prototypes, deploymentCache, searchIndex);
+
+        // Step 8: Deploy gallery
+        const gallery = await deployGallery();
+
+        const result = {
+            prototypes,
+            skipped,
+            deployments,
+            deployed: deployments.length - failed,
+            failed,
+            galleryDeployed: !gallery.error,
+            galleryUrl: gallery.url || galleryUrl,
+            errors: [
+                ...deployments.filter(d => d.error).map(({ slug, name, error }) => ({ slug, name, error })),
+                ...(gallery.error ? [{ slug: null, name: 'Gallery', error: gallery.error }] : [])
+            ]
+        };
+
+        // Step 9: Report to the hooks
+        await runLifecycleHooks('afterGallery', {
+            galleryUrl: result.galleryUrl,
+            galleryDeployed: result.galleryDeployed,
+            deployments: describeDeployments(deployments),
+            summary: {
+                prototypes: totalCount,
+                new: deployments.filter(d => !d.error && d.change === 'new').length,
+                updated: deployments.filter(d => !d.error && d.change === 'updated').length,
+                failed
+            }
+        });
+        if (result.errors.length > 0) {
+            await runLifecycleHooks('onError', {
+                galleryUrl: result.galleryUrl,
+                stopped: false,
+                errors: result.errors.map(({ slug, name, error }) => describeFailure(slug, name, error))
+            });
+        }
+        return result;
+    }
+
+    // Check that the deploy provider is usable and the prototypes directory exists; resolves with
+    // the provider's status messages, throws a DependencyError (with a hint) otherwise
+    async function checkDependencies() {
+        log.section('🔍 Checking System Requirements...');
+
+        let messages;
+        try {
+            messages = await getProvider().check();
+        } catch (error) {
+            throw new DependencyError(error.message, {
+                hint: [
+                    ...(error.hint || []),
+                    `This is needed to deploy your prototypes (provider: ${CONFIG.deployProvider.type}).`
+                ],
+                cause: error
+            });
+        }
+        messages.forEach(message => log.success(message));
+
+        const stats = await fs.stat(CONFIG.prototypesDir).catch(() => null);
+        if (!stats || !stats.isDirectory()) {
+            throw new DependencyError(`Prototypes directory not found: ${CONFIG.prototypesDir}`, {
+                hint: [
+                    `Create it with: mkdir -p "${CONFIG.prototypesDir}"`,
+                    'or point "prototypesDir" in gallery.config.json at your prototypes.'
+                ]
+            });
+        }
+        log.success('Prototypes directory found');
+        print('');
+        return messages;
+    }
+
+    return {
+        checkDependencies,
+        scanPrototypes,
+        planSync,
+        syncPrototypes,
+        deploySinglePrototype,
+        setPrototypePassword,
+        validatePrototypes,
+        exportPrototype,
+        exportGallery,
+        generateGallery,
+        generateHub,
+        loadDeploymentCache,
+        getHistory,
+        getFeedback,
+        rollbackPrototype,
+        pruneDeployments,
+        servePrototypes,
+        renderGallery,
+        renderNavigation,
+        renderManifest,
+        renderFeed
+    };
+}
+
+module.exports = { createEngine };
@@ -0,0 +1,90 @@
+/**
+ * Deployment history
+ * Every deployment of a prototype is kept as a numbered version, so the URL shown to
+ * stakeholders last week stays reachable and the gallery can be pointed back at it.
+ */
+
+const { NotFoundError, UsageError } = require('./errors');
+
+// Versions of a deployment entry, oldest first. Entries written before history was
+// tracked (sync cache: timestamp, prototype-manager: deployedAt) become version 1.
+function getVersions(entry) {
+    if (!entry) return [];
+    if (Array.isArray(entry.versions)) return entry.versions;
+    if (!entry.url) return [];
+
+    return [{
+        version: 1,
+        url: entry.url,
+        timestamp: entry.timestamp || entry.deployedAt || null,
+        digest: entry.digest || null
+    }];
+}
+
+// Version the entry currently points at (the latest unless rolled back)
+function getActiveVersion(entry) {
+    const versions = getVersions(entry);
+    if (versions.length === 0) return null;
+
+    return versions.find(v => v.version === entry.activeVersion) || versions[versions.length - 1];
+}
+
+// Append a deployment ({ url, timestamp, digest, note }) to the history of entry.
+// Returns { versions, activeVersion } to merge into the new entry; entry is not modified.
+function addVersion(entry, { url, timestamp, digest, note }) {
+    const versions = getVersions(entry).slice();
+    const version = versions.length > 0 ? versions[versions.length - 1].version + 1 : 1;
+
+    versions.push({ version, url, timestamp, digest: digest || null, ...(note && { note }) });
+    return { versions, activeVersion: version };
+}
+
+// Point the latest version of entry at the URL of a redeployment of the same files (only the
+// injected scripts changed), instead of adding a version. Returns { versions, activeVersion } like
+// addVersion(); entry is not modified.
+function replaceLatestUrl(entry, url) {
+    const versions = getVersions(entry).slice();
+    versions[versions.length - 1] = { ...versions[versions.length - 1], url };
+    return { versions, activeVersion: getActiveVersion(entry).version };
+}
+
+// Version to roll back to: the given number, or the one before the active version
+function findRollbackVersion(entry, version) {
+    const versions = getVersions(entry);
+    const active = getActiveVersion(entry);
+    if (!active) {
+        throw new NotFoundError('Not deployed yet');
+    }
+
+    if (version === undefined) {
+        const previous = versions.filter(v => v.version < active.version);
+        if (previous.length === 0) {
+            throw new UsageError(`v${active.version} is the oldest deployment, there is nothing to roll back to`);
+        }
+        return previous[previous.length - 1];
+    }
+
+    const number = Number(String(version).replace(/^v/i, ''));
+    const target = versions.find(v => v.version === number);
+    if (!target) {
+        throw new NotFoundError(`Unknown version "${version}" (available: ${versions.map(v => `v${v.version}`).join(', ')})`);
+    }
+    return target;
+}
+
+// When the active content was first deployed: walks back over earlier versions with the
+// same digest, so forced redeploys of unchanged files do not count as changes
+function getChangedAt(entry) {
+    const versions = getVersions(entry);
+    const active = getActiveVersion(entry);
+    if (!active) return null;
+
+    let first = active;
+    for (let i = versions.indexOf(active) - 1; i >= 0; i--) {
+        if (!active.digest || versions[i].digest !== active.digest) break;
+        first = versions[i];
+    }
+    return first.timestamp || null;
+}
+
+module.exports = { getVersions, getActiveVersion, getChangedAt, addVersion, replaceLatestUrl, findRollbackVersion };
@@ -0,0 +1,120 @@
+/**
+ * Lifecycle hooks
+ * Shell commands and JS modules run at fixed points of a sync (hooks.* in gallery.config.json):
+ *
+ *   beforeScan     before the prototypes directory is scanned
+ *   beforeDeploy   before new and changed prototypes are deployed (payload: prototypes)
+ *   afterDeploy    after they were deployed (payload: deployments, with URL or error)
+ *   afterGallery   after the gallery was generated and deployed (payload: deployments, summary)
+ *   onError        when deployments fail or the sync stops with an error (payload: errors)
+ *
+ * Every hook gets a JSON payload of what happened. Shell commands read it on stdin, with the
+ * hook's name in $GALLERY_HOOK. An entry ending in .js, .cjs or .mjs is a module instead,
+ * resolved like paths in the config file: its exported function, or its method named like the
+ * hook, is called with (payload, { hook, config, logger }) and may return a promise.
+ *
+ * A failing before* hook stops the sync with a HookError. Later hooks only warn: the
+ * deployments they report on already happened.
+ */
+
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { HookError } = require('../errors');
+
+const HOOKS = ['beforeScan', 'beforeDeploy', 'afterDeploy', 'afterGallery', 'onError'];
+const BLOCKING_HOOKS = ['beforeScan', 'beforeDeploy'];
+
+// "./hooks/notify.js" is a module, "node hooks/notify.js" a shell command
+function isModulePath(entry) {
+    return /^[^\s'"]+\.[cm]?js$/.test(entry);
+}
+
+// Run a shell command with the payload on stdin; rejects when it exits with an error
+function runCommand(command, name, payload, { timeout, logger }) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            timeout: timeout || undefined,
+            env: { ...process.env, GALLERY_HOOK: name }
+        });
+        let stderr = '';
+        const forward = (chunk) => String(chunk).split('\n').filter(Boolean).forEach(line => logger.print(`    ${line}`));
+
+        child.stdout.on('data', forward);
+        child.stderr.on('data', (chunk) => {
+            stderr += chunk;
+            forward(chunk);
+        });
+        // Commands that ignore stdin may exit before reading it
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(payload));
+
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (code === 0) return resolve();
+            const reason = signal ? `killed (${signal}${signal === 'SIGTERM' && timeout ? `, timeout ${timeout}ms` : ''})` : `exit code ${code}`;
+            const lastLine = stderr.trim().split('\n').pop();
+            reject(new Error(lastLine ? `${reason}: ${lastLine}` : reason));
+        });
+    });
+}
+
+// The function of a handler for a hook: a function, a module path, or an object (or module)
+// with one method per hook. null when it has nothing for this hook.
+async function loadHandler(handler, name) {
+    let target = handler;
+    if (typeof handler === 'string') {
+        const loaded = await import(pathToFileURL(handler).href);
+        target = loaded.default ?? loaded;
+    }
+
+    if (typeof target === 'function') return target;
+    if (target && typeof target[name] === 'function') return target[name].bind(target);
+    return null;
+}
+
+function withTimeout(promise, timeout) {
+    if (!timeout) return promise;
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+function describeHandler(handler) {
+    if (typeof handler === 'string') return handler;
+    return handler.name || 'hook function';
+}
+
+// Run the handlers of a hook one after another: shell commands, module paths, functions or
+// objects with hook methods. options: { timeout (ms, 0: none), logger, config }
+async function runHooks(name, handlers, payload, { timeout = 0, logger, config } = {}) {
+    for (const handler of handlers) {
+        const label = describeHandler(handler);
+        try {
+            if (typeof handler === 'string' && !isModulePath(handler)) {
+                logger.item(`${name}: ${label}`);
+                await runCommand(handler, name, payload, { timeout, logger });
+                continue;
+            }
+
+            const run = await loadHandler(handler, name);
+            if (!run) continue;
+            logger.item(`${name}: ${label}`);
+            await withTimeout(Promise.resolve(run(payload, { hook: name, config, logger })), timeout);
+        } catch (error) {
+            const message = `${name} hook failed (${label}): ${error.message}`;
+            if (BLOCKING_HOOKS.includes(name)) {
+                throw new HookError(message, {
+                    hook: name,
+                    cause: error,
+                    hint: [`Fix the hook, or remove it from "hooks.${name}" in gallery.config.json.`]
+                });
+            }
+            logger.warning(message);
+        }
+    }
+}
+
+module.exports = { runHooks, isModulePath, HOOKS, BLOCKING_HOOKS };
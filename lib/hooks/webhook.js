@@ -0,0 +1,137 @@
+/**
+ * Webhook notifier
+ * Built-in hook (see index.js) that posts a summary of each sync to notify.webhook: the URLs of
+ * new and updated prototypes after the gallery was deployed, and the errors when deployments
+ * fail or the sync stops (unless notify.onError is false). Syncs that deployed nothing post
+ * nothing.
+ *
+ *   json    the summary as JSON, for any HTTP endpoint
+ *   slack   a Slack incoming webhook message (text with Block Kit blocks)
+ *   teams   a Microsoft Teams workflow message with an Adaptive Card
+ */
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+
+// What a sync changed, from an afterGallery payload
+function summarizeUpdates(payload) {
+    const prototypes = payload.deployments
+        .filter(deployment => deployment.url && !deployment.error)
+        .map(({ slug, name, feature, change, url }) => ({ slug, name, feature, change, url }));
+    const added = prototypes.filter(proto => proto.change === 'new').length;
+    const counts = [added && `${added} new`, prototypes.length - added && `${prototypes.length - added} updated`];
+    return {
+        event: 'updated',
+        project: payload.project,
+        galleryUrl: payload.galleryUrl,
+        title: `${payload.project.title}: ${counts.filter(Boolean).join(', ')} prototype${prototypes.length === 1 ? '' : 's'}`,
+        prototypes
+    };
+}
+
+// What went wrong, from an onError payload
+function summarizeErrors(payload) {
+    return {
+        event: 'failed',
+        project: payload.project,
+        galleryUrl: payload.galleryUrl,
+        title: payload.stopped
+            ? `${payload.project.title}: sync stopped`
+            : `${payload.project.title}: ${payload.errors.length} deployment${payload.errors.length === 1 ? '' : 's'} failed`,
+        errors: payload.errors
+    };
+}
+
+// Slack mrkdwn needs &, < and > escaped outside of links
+function slackEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackMessage(summary) {
+    const lines = summary.prototypes
+        ? summary.prototypes.map(proto => `• <${proto.url}|${slackEscape(proto.name)}> (${proto.change})`)
+        : summary.errors.map(error => `• ${slackEscape(error.name)}: ${slackEscape(error.message)}`);
+
+    return {
+        text: summary.title,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `*${slackEscape(summary.title)}*\n${lines.join('\n')}` } },
+            ...(summary.galleryUrl ? [{
+                type: 'actions',
+                elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open gallery' }, url: summary.galleryUrl }]
+            }] : [])
+        ]
+    };
+}
+
+function teamsMessage(summary) {
+    const lines = summary.prototypes
+        ? summary.prototypes.map(proto => `- [${proto.name}](${proto.url}) (${proto.change})`)
+        : summary.errors.map(error => `- ${error.name}: ${error.message}`);
+
+    return {
+        type: 'message',
+        attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            contentUrl: null,
+            content: {
+                $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+                type: 'AdaptiveCard',
+                version: '1.4',
+                body: [
+                    { type: 'TextBlock', text: summary.title, weight: 'Bolder', size: 'Medium', wrap: true },
+                    { type: 'TextBlock', text: lines.join('\n'), wrap: true }
+                ],
+                ...(summary.galleryUrl && {
+                    actions: [{ type: 'Action.OpenUrl', title: 'Open gallery', url: summary.galleryUrl }]
+                })
+            }
+        }]
+    };
+}
+
+// Request body of a summary in one of WEBHOOK_FORMATS
+function formatMessage(summary, format) {
+    switch (format) {
+        case 'slack':
+            return slackMessage(summary);
+        case 'teams':
+            return teamsMessage(summary);
+        default:
+            return summary;
+    }
+}
+
+async function post(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+        throw new Error(`${url}: ${response.status} ${response.statusText}`);
+    }
+}
+
+// Hook object for runHooks(); options: notify settings { webhook, format, onError }
+function createWebhookNotifier({ webhook, format = 'json', onError = true }) {
+    return {
+        name: 'webhook notifier',
+
+        async afterGallery(payload, { logger }) {
+            const summary = summarizeUpdates(payload);
+            if (summary.prototypes.length === 0) return;
+            await post(webhook, formatMessage(summary, format));
+            logger.success(`Notified ${new URL(webhook).host}`);
+        },
+
+        ...(onError && {
+            async onError(payload, { logger }) {
+                await post(webhook, formatMessage(summarizeErrors(payload), format));
+                logger.info(`Reported the errors to ${new URL(webhook).host}`);
+            }
+        })
+    };
+}
+
+module.exports = { createWebhookNotifier, formatMessage, summarizeUpdates, summarizeErrors, WEBHOOK_FORMATS };
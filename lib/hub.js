@@ -0,0 +1,177 @@
+/**
+ * Hub page
+ * One page linking the galleries of several projects, generated from their manifest.json files
+ * (lib/manifest.js) by the `hub` command: a section per project with its counts, a link to its
+ * gallery and a card per prototype. Replaces the hand-maintained public/index.html.
+ */
+
+const { html, raw } = require('./templates/html');
+
+const STYLES = `
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 2rem;
+        }
+        .container { max-width: 1200px; margin: 0 auto; }
+        h1 {
+            color: white;
+            font-size: 3rem;
+            margin-bottom: 1rem;
+            text-align: center;
+            text-shadow: 2px 2px 4px rgba(0,0,0,0.2);
+        }
+        .subtitle {
+            color: rgba(255,255,255,0.9);
+            text-align: center;
+            margin-bottom: 1rem;
+            font-size: 1.2rem;
+        }
+        .totals {
+            color: rgba(255,255,255,0.8);
+            text-align: center;
+            margin-bottom: 3rem;
+        }
+        .section {
+            background: white;
+            border-radius: 1rem;
+            padding: 2rem;
+            margin-bottom: 2rem;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+        }
+        .section-header {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: baseline;
+            gap: 0.5rem 1rem;
+            margin-bottom: 1.5rem;
+            padding-bottom: 0.5rem;
+            border-bottom: 2px solid #667eea;
+        }
+        .section-title { color: #333; font-size: 1.8rem; }
+        .section-title a { color: inherit; text-decoration: none; }
+        .section-title a:hover { color: #667eea; }
+        .section-counts { color: #888; }
+        .section-link { margin-left: auto; color: #667eea; font-weight: 600; text-decoration: none; }
+        .section-description { color: #555; margin: -0.75rem 0 1.5rem; }
+        .feature-title { color: #666; font-size: 1rem; text-transform: capitalize; margin: 1.5rem 0 0.75rem; }
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+            gap: 1.5rem;
+        }
+        .card {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            border-radius: 0.5rem;
+            padding: 1.5rem;
+            color: white;
+            text-decoration: none;
+            transition: transform 0.3s ease, box-shadow 0.3s ease;
+            position: relative;
+            overflow: hidden;
+        }
+        .card:hover {
+            transform: translateY(-5px);
+            box-shadow: 0 15px 30px rgba(102, 126, 234, 0.4);
+        }
+        .card.pending { opacity: 0.6; pointer-events: none; }
+        .card h3 { font-size: 1.5rem; margin-bottom: 0.5rem; }
+        .card p { opacity: 0.9; line-height: 1.5; }
+        .badge {
+            display: inline-block;
+            background: rgba(255,255,255,0.2);
+            padding: 0.25rem 0.75rem;
+            border-radius: 1rem;
+            font-size: 0.875rem;
+            margin-top: 0.5rem;
+            margin-right: 0.25rem;
+        }
+        .empty { color: #888; }
+        .error { color: #c0392b; }
+        footer { color: rgba(255,255,255,0.7); text-align: center; font-size: 0.875rem; }
+`;
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function prototypeCard(proto) {
+    const updated = proto.updatedAt ? `Updated ${new Date(proto.updatedAt).toLocaleDateString()}` : null;
+    return html`
+                    <a class="card${proto.url ? '' : ' pending'}" href="${proto.url || '#'}">
+                        <h3>${proto.locked ? '🔒 ' : ''}${proto.name}</h3>
+                        ${proto.description && html`<p>${proto.description}</p>`}
+                        ${proto.status && html`<span class="badge">${proto.status}</span>`}
+                        ${updated && html`<span class="badge">${updated}</span>`}
+                    </a>`;
+}
+
+// A project's section: heading with counts and gallery link, its prototypes grouped by feature
+function projectSection({ manifest }) {
+    const prototypes = manifest.features.reduce((total, feature) => total + feature.prototypes.length, 0);
+    const counts = `${plural(prototypes, 'prototype')} in ${plural(manifest.features.length, 'feature')}`;
+
+    return html`
+        <section class="section">
+            <div class="section-header">
+                <h2 class="section-title"><a href="${manifest.url}">${manifest.project.title}</a></h2>
+                <span class="section-counts">${counts}</span>
+                <a class="section-link" href="${manifest.url}">Open gallery →</a>
+            </div>
+            ${manifest.project.description && html`<p class="section-description">${manifest.project.description}</p>`}
+            ${prototypes === 0 && html`<p class="empty">No prototypes yet.</p>`}
+            ${manifest.features.filter(feature => feature.prototypes.length > 0).map(feature => html`
+            <h3 class="feature-title">${feature.title || feature.name}</h3>
+            <div class="grid">${feature.prototypes.map(prototypeCard)}
+            </div>`)}
+        </section>`;
+}
+
+// Section for a source whose manifest could not be loaded (the hub is still generated)
+function failedSection({ source, error }) {
+    return html`
+        <section class="section">
+            <div class="section-header">
+                <h2 class="section-title">${source}</h2>
+            </div>
+            <p class="error">Manifest not available: ${error.message}</p>
+        </section>`;
+}
+
+// The hub page. projects: [{ source, manifest }] and [{ source, error }] for failed sources, in order
+function renderHub({ title = 'Prototype Hub', description = null, generatedAt = new Date(), projects = [] }) {
+    const loaded = projects.filter(project => project.manifest);
+    const prototypes = loaded.reduce((total, { manifest }) =>
+        total + manifest.features.reduce((sum, feature) => sum + feature.prototypes.length, 0), 0);
+
+    return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <style>${raw(STYLES)}</style>
+</head>
+<body>
+    <div class="container">
+        <h1>🚀 ${title}</h1>
+        ${description && html`<p class="subtitle">${description}</p>`}
+        <p class="totals">${projects.length > 0
+            ? `${plural(loaded.length, 'project')} · ${plural(prototypes, 'prototype')}`
+            : ''}</p>
+        ${projects.map(project => (project.manifest ? projectSection(project) : failedSection(project)))}
+        ${projects.length === 0 && html`
+        <section class="section">
+            <p class="empty">No projects yet. Generate this page from the manifest.json of each project gallery:
+                <code>npm run hub -- ../app/gallery https://other-gallery.example.com/</code>, or list them in <code>hub.sources</code>.</p>
+        </section>`}
+        <footer>Generated ${new Date(generatedAt).toLocaleString()}</footer>
+    </div>
+</body>
+</html>
+`);
+}
+
+module.exports = { renderHub };
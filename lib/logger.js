@@ -0,0 +1,81 @@
+/**
+ * Loggers
+ * The gallery reports progress through a logger with one method per kind of line:
+ *
+ *   info, success, warning, error   status lines
+ *   section                         heading of a step ("Deploying gallery...")
+ *   item                            line under a section
+ *   print                           preformatted output (tables, validation reports)
+ *
+ * The CLI uses the colored console logger. API users can pass their own (any missing method
+ * falls back to info, so `console` works), or false for none.
+ */
+
+const COLORS = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    red: '\x1b[31m',
+    cyan: '\x1b[36m',
+    magenta: '\x1b[35m'
+};
+
+// Escape codes of space-separated color names ("bright cyan")
+function ansi(color) {
+    return color.split(' ').map(name => COLORS[name]).join('');
+}
+
+// Logger writing to stdout (or stderr, while stdout carries JSON) with ANSI colors
+function createConsoleLogger({ stderr = false, colors = true } = {}) {
+    const print = (msg) => (stderr ? console.error : console.log)(msg);
+    const paint = (color, text) => (colors ? `${ansi(color)}${text}${COLORS.reset}` : text);
+
+    return {
+        colors,
+        info: (msg) => print(`${paint('blue', 'ℹ')} ${msg}`),
+        success: (msg) => print(`${paint('green', '✓')} ${msg}`),
+        warning: (msg) => print(`${paint('yellow', '⚠')} ${msg}`),
+        error: (msg) => print(`${paint('red', '✗')} ${msg}`),
+        section: (msg) => print(`\n${paint('bright cyan', msg)}`),
+        item: (msg) => print(`  • ${msg}`),
+        print
+    };
+}
+
+const silentLogger = {
+    colors: false,
+    info() {},
+    success() {},
+    warning() {},
+    error() {},
+    section() {},
+    item() {},
+    print() {}
+};
+
+// A complete logger from a partial one ({ info } or console-like { log, warn, error }); false: silent
+function normalizeLogger(logger) {
+    if (!logger) return silentLogger;
+
+    const call = (name) => (typeof logger[name] === 'function' ? (msg) => logger[name](msg) : null);
+    const info = call('info') || call('log') || (() => {});
+    return {
+        colors: Boolean(logger.colors),
+        info,
+        success: call('success') || info,
+        warning: call('warning') || call('warn') || info,
+        error: call('error') || info,
+        section: call('section') || info,
+        item: call('item') || info,
+        print: call('print') || call('log') || info
+    };
+}
+
+// Wrap text in ANSI colors ("green", "bright red") when the logger prints colors
+function paint(logger, color, text) {
+    return logger.colors ? `${ansi(color)}${text}${COLORS.reset}` : text;
+}
+
+module.exports = { createConsoleLogger, normalizeLogger, silentLogger, paint, COLORS };
@@ -0,0 +1,142 @@
+/**
+ * Gallery manifest
+ * Every generated gallery gets a manifest.json next to its index.html, describing the project
+ * and its listed prototypes for other tools, like the hub page (lib/hub.js, `hub` command) or a
+ * docs site:
+ *
+ *   {
+ *     "version": 1,
+ *     "project": { "name", "title", "description" },
+ *     "url": "https://gallery.example.com/",       (null when not known; relative to the manifest then)
+ *     "generatedAt": "2024-03-01T12:00:00.000Z",
+ *     "counts": { "features": 2, "prototypes": 5 },
+ *     "features": [{ "name", "title", "prototypes": [{ "slug", "name", "description", "url",
+ *                    "tags", "owner", "status", "created", "locked", "thumbnail",
+ *                    "deployedAt", "updatedAt",
+ *                    "versions": [{ "version", "url", "deployedAt", "note", "active" }],
+ *                    "screens": [{ "file", "title", "url" }] }] }]
+ *   }
+ *
+ * screens are the pages of the prototype in flow order (one for single-page prototypes).
+ * deployedAt is the last deployment, updatedAt the last one that changed the content. Prototype
+ * URLs are absolute, or relative to the manifest (deploy.sh galleries); thumbnails are relative.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Manifest of a gallery; features: [{ name, title, prototypes: [{ slug, name, description, url, ... }] }]
+function createManifest({ project, url = null, generatedAt = new Date(), features }) {
+    return {
+        version: MANIFEST_VERSION,
+        project: {
+            name: project.name || null,
+            title: project.title || project.name || 'Prototype Gallery',
+            description: project.description || null
+        },
+        url,
+        generatedAt: new Date(generatedAt).toISOString(),
+        counts: {
+            features: features.length,
+            prototypes: features.reduce((total, feature) => total + feature.prototypes.length, 0)
+        },
+        features: features.map(feature => ({
+            name: feature.name,
+            title: feature.title,
+            prototypes: feature.prototypes.map(proto => ({
+                slug: proto.slug,
+                name: proto.name,
+                description: proto.description || null,
+                url: proto.url || null,
+                tags: proto.tags || [],
+                owner: proto.owner || null,
+                status: proto.status || null,
+                created: proto.created || null,
+                locked: Boolean(proto.locked),
+                thumbnail: proto.thumbnail || null,
+                deployedAt: proto.deployedAt || null,
+                updatedAt: proto.updatedAt || null,
+                versions: proto.versions || [],
+                screens: proto.screens || []
+            }))
+        }))
+    };
+}
+
+function isUrl(source) {
+    return /^https?:\/\//i.test(source);
+}
+
+// Where a source's manifest is: gallery URLs and folders get manifest.json appended
+async function resolveManifestLocation(source, cwd) {
+    if (isUrl(source)) {
+        return /\.json([?#]|$)/i.test(source) ? source : new URL(MANIFEST_FILE, source.replace(/\/?$/, '/')).href;
+    }
+
+    const file = path.resolve(cwd, source);
+    const stat = await fs.stat(file).catch(() => null);
+    return stat && stat.isDirectory() ? path.join(file, MANIFEST_FILE) : file;
+}
+
+async function readSource(location) {
+    if (!isUrl(location)) {
+        return fs.readFile(location, 'utf8');
+    }
+
+    const response = await fetch(location, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return response.text();
+}
+
+// A link from the manifest, usable from a page written to outputDir: absolute URLs stay,
+// relative ones are resolved against the manifest's location
+function resolveLink(link, location, outputDir) {
+    if (!link || /^[a-z][a-z\d+.-]*:/i.test(link)) return link;
+    if (isUrl(location)) return new URL(link, location).href;
+
+    const target = path.resolve(path.dirname(location), link.split(/[?#]/)[0]);
+    const suffix = link.slice(link.split(/[?#]/)[0].length);
+    const relative = path.relative(outputDir, target).split(path.sep).map(encodeURIComponent).join('/');
+    return (relative || '.') + suffix;
+}
+
+// Load the manifest of a source (manifest file, gallery folder or gallery URL) with its links
+// made usable from a page in outputDir. Returns { source, location, manifest }.
+async function loadManifest(source, { cwd = process.cwd(), outputDir = cwd } = {}) {
+    const location = await resolveManifestLocation(source, cwd);
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await readSource(location));
+    } catch (error) {
+        throw new Error(`Could not load ${location}: ${error.message}`);
+    }
+    if (!manifest || !Array.isArray(manifest.features) || !manifest.project) {
+        throw new Error(`${location} is not a gallery manifest (no "project" or "features")`);
+    }
+    if (manifest.version > MANIFEST_VERSION) {
+        throw new Error(`${location} has manifest version ${manifest.version}; update the gallery tools to read it`);
+    }
+
+    const features = manifest.features.map(feature => ({
+        ...feature,
+        prototypes: (feature.prototypes || []).map(proto => ({
+            ...proto,
+            url: resolveLink(proto.url, location, outputDir),
+            thumbnail: resolveLink(proto.thumbnail, location, outputDir)
+        }))
+    }));
+    return {
+        source,
+        location,
+        // Without a gallery URL, link the gallery's index.html next to the manifest
+        manifest: { ...manifest, url: resolveLink(manifest.url || (isUrl(location) ? './' : './index.html'), location, outputDir), features }
+    };
+}
+
+module.exports = { createManifest, loadManifest, MANIFEST_FILE, MANIFEST_VERSION };
@@ -0,0 +1,212 @@
+/**
+ * Prototype metadata
+ * Read from an optional prototype.json next to index.html and/or
+ * <meta name="prototype:*" content="..."> tags in the HTML. prototype.json wins
+ * when both define a field. Invalid values are dropped and reported as errors.
+ *
+ *   {
+ *     "title": "Welcome Screen",
+ *     "description": "First-run experience with the new illustration set",
+ *     "tags": ["onboarding", "mobile"],
+ *     "owner": "Design Team",
+ *     "status": "in-review",
+ *     "created": "2024-03-01",
+ *     "order": 1,
+ *     "visibility": "public",
+ *     "navigation": true,
+ *     "screens": ["index.html", { "file": "details.html", "title": "Shipping details" }, "review.html"]
+ *   }
+ *
+ * "screens" orders the pages of a multi-screen flow (see screens.js); as a meta tag it is a
+ * comma-separated list of file names.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { VISIBILITIES } = require('./visibility');
+
+const MANIFEST_FILE = 'prototype.json';
+
+// Field name → parser for values from prototype.json (JSON) and meta tags (strings)
+const FIELDS = {
+    title: { json: isString, meta: (value) => value },
+    description: { json: isString, meta: (value) => value },
+    owner: { json: isString, meta: (value) => value },
+    status: { json: isString, meta: (value) => value },
+    tags: {
+        json: (value) => Array.isArray(value) && value.every(tag => typeof tag === 'string'),
+        meta: (value) => value.split(',').map(tag => tag.trim()).filter(Boolean)
+    },
+    created: {
+        json: (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+        meta: (value) => value
+    },
+    order: {
+        json: (value) => typeof value === 'number' && Number.isFinite(value),
+        meta: (value) => Number(value)
+    },
+    visibility: {
+        json: (value) => VISIBILITIES.includes(value),
+        meta: (value) => value.toLowerCase()
+    },
+    hidden: {
+        json: (value) => typeof value === 'boolean',
+        meta: (value) => ({ true: true, false: false })[value.toLowerCase()]
+    },
+    navigation: {
+        json: (value) => typeof value === 'boolean',
+        meta: (value) => ({ true: true, false: false })[value.toLowerCase()]
+    },
+    screens: {
+        json: (value) => Array.isArray(value) && value.length > 0 && value.every(isScreen),
+        meta: (value) => value.split(',').map(file => file.trim()).filter(Boolean)
+    }
+};
+
+const EXPECTED = {
+    title: 'a string',
+    description: 'a string',
+    owner: 'a string',
+    status: 'a string',
+    tags: 'an array of strings',
+    created: 'a date string (e.g. 2024-03-01)',
+    order: 'a number',
+    visibility: `${VISIBILITIES.slice(0, -1).join(', ')} or ${VISIBILITIES[VISIBILITIES.length - 1]}`,
+    hidden: 'true or false',
+    navigation: 'true or false',
+    screens: 'an array of page file names or { "file", "title" } objects'
+};
+
+function isString(value) {
+    return typeof value === 'string';
+}
+
+// A page of the prototype folder: "details.html" or { "file": "details.html", "title": "Details" }
+function isScreen(value) {
+    const file = typeof value === 'string' ? value : value?.file;
+    if (typeof file !== 'string' || !/\.html?$/i.test(file) || file.split(/[\\/]/).includes('..')) return false;
+    return typeof value === 'string' || value.title === undefined || isString(value.title);
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#0*39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Collect <meta name="prototype:*" content="..."> tags as raw strings
+function parseMetaTags(html) {
+    const tags = {};
+    const metaPattern = /<meta\b[^>]*>/gi;
+    let match;
+
+    while ((match = metaPattern.exec(html))) {
+        const attributes = {};
+        const attributePattern = /([a-z-:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+        let attribute;
+        while ((attribute = attributePattern.exec(match[0]))) {
+            attributes[attribute[1].toLowerCase()] = attribute[2] ?? attribute[3];
+        }
+
+        const name = attributes.name || '';
+        if (name.toLowerCase().startsWith('prototype:') && attributes.content !== undefined) {
+            tags[name.slice('prototype:'.length)] = decodeEntities(attributes.content).trim();
+        }
+    }
+
+    return tags;
+}
+
+// Validate raw values from one source, dropping (and reporting) invalid fields
+function validateFields(raw, source, file, errors) {
+    const metadata = {};
+
+    for (const [key, value] of Object.entries(raw)) {
+        const field = FIELDS[key];
+        if (!field) {
+            errors.push({ file, message: `unknown field "${key}" (allowed: ${Object.keys(FIELDS).join(', ')})` });
+            continue;
+        }
+
+        if (source === 'meta') {
+            const parsed = field.meta(value);
+            if (parsed === undefined || Number.isNaN(parsed) || !field.json(parsed)) {
+                errors.push({ file, message: `prototype:${key} must be ${EXPECTED[key]}, got "${value}"` });
+                continue;
+            }
+            metadata[key] = parsed;
+        } else {
+            if (!field.json(value)) {
+                errors.push({ file, message: `"${key}" must be ${EXPECTED[key]}, got ${JSON.stringify(value)}` });
+                continue;
+            }
+            metadata[key] = value;
+        }
+    }
+
+    return metadata;
+}
+
+// Read metadata for an HTML page; manifestPath (optional) points at its prototype.json
+// Returns { metadata, errors: [{ file, message }] }
+async function readMetadata(htmlPath, manifestPath) {
+    const errors = [];
+    let metadata = {};
+
+    try {
+        const html = await fs.readFile(htmlPath, 'utf8');
+        metadata = validateFields(parseMetaTags(html), 'meta', htmlPath, errors);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            errors.push({ file: htmlPath, message: error.message });
+        }
+    }
+
+    if (manifestPath) {
+        let content = null;
+        try {
+            content = await fs.readFile(manifestPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                errors.push({ file: manifestPath, message: error.message });
+            }
+        }
+
+        if (content !== null) {
+            try {
+                const raw = JSON.parse(content);
+                if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                    errors.push({ file: manifestPath, message: 'must contain a JSON object' });
+                } else {
+                    metadata = { ...metadata, ...validateFields(raw, 'json', manifestPath, errors) };
+                }
+            } catch (error) {
+                errors.push({ file: manifestPath, message: `invalid JSON: ${error.message}` });
+            }
+        }
+    }
+
+    return { metadata, errors };
+}
+
+// Metadata for a prototype folder: <dir>/index.html plus <dir>/prototype.json
+function readPrototypeMetadata(prototypeDir) {
+    return readMetadata(path.join(prototypeDir, 'index.html'), path.join(prototypeDir, MANIFEST_FILE));
+}
+
+// Sort prototypes by their "order" field; unordered ones keep their position after the ordered ones
+function sortByOrder(prototypes) {
+    return prototypes
+        .map((proto, index) => ({ proto, index }))
+        .sort((a, b) => {
+            const orderA = a.proto.order ?? Infinity;
+            const orderB = b.proto.order ?? Infinity;
+            return orderA === orderB ? a.index - b.index : orderA - orderB;
+        })
+        .map(({ proto }) => proto);
+}
+
+module.exports = { readMetadata, readPrototypeMetadata, sortByOrder, parseMetaTags, MANIFEST_FILE, FIELDS };
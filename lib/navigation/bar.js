@@ -0,0 +1,92 @@
+// Gallery navigation bar, injected into the pages of deployed prototypes by lib/navigation.
+// Links back to the gallery (data-gallery-navigation) and to the previous and next prototype of
+// the same feature, read from the gallery's navigation.js. Keys: Esc gallery, [ previous, ] next.
+// Links the page already has to the gallery (a[data-gallery-link], or the "Back to Gallery" button
+// of new-prototype.sh still pointing at #) are pointed at the real gallery URL.
+(function () {
+    const script = document.currentScript;
+    const galleryUrl = new URL(script.dataset.galleryNavigation, location.href);
+    const feature = script.dataset.galleryFeature;
+    const prototype = script.dataset.galleryPrototype;
+    const dataUrl = new URL('navigation.js', galleryUrl);
+    const links = { gallery: galleryUrl.href, prev: null, next: null };
+
+    const host = document.createElement('div');
+    host.style.cssText = 'position: fixed; left: 20px; bottom: 20px; z-index: 2147483646;';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>
+        * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        nav { display: flex; align-items: center; gap: 2px; padding: 4px; border-radius: 20px; background: rgba(255,255,255,0.92);
+            box-shadow: 0 4px 12px rgba(0,0,0,0.15); opacity: 0.7; transition: opacity 0.2s; }
+        nav:hover, nav:focus-within { opacity: 1; }
+        a { max-width: 180px; padding: 6px 12px; border-radius: 16px; color: #333; font-size: 13px; text-decoration: none;
+            white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        a:hover, a:focus-visible { background: #f0f0f0; outline: none; }
+        a[hidden] { display: none; }
+        kbd { margin-left: 4px; color: #999; font-size: 11px; font-family: inherit; }
+    </style>
+    <nav aria-label="Prototype gallery">
+        <a class="gallery" href="">← Gallery<kbd>Esc</kbd></a>
+        <a class="prev" href="" hidden></a>
+        <a class="next" href="" hidden></a>
+    </nav>`;
+
+    const galleryLink = root.querySelector('.gallery');
+    galleryLink.href = links.gallery;
+
+    function showLink(key, entry, label) {
+        const link = root.querySelector(`.${key}`);
+        links[key] = new URL(entry.url, dataUrl).href;
+        link.href = links[key];
+        link.title = `${label}: ${entry.name}`;
+        link.textContent = key === 'prev' ? `‹ ${entry.name}` : `${entry.name} ›`;
+        link.hidden = false;
+    }
+
+    // Called by navigation.js with { features: [{ name, title, prototypes: [{ slug, name, url }] }] }
+    window.prototypeGalleryNavigation = function (data) {
+        const group = (data.features || []).find(item => item.name === feature);
+        const prototypes = group ? group.prototypes : [];
+        const index = prototypes.findIndex(item => item.slug === prototype);
+        if (index === -1) return;
+
+        if (index > 0) showLink('prev', prototypes[index - 1], 'Previous [');
+        if (index < prototypes.length - 1) showLink('next', prototypes[index + 1], 'Next ]');
+        if (group) galleryLink.title = `Back to ${group.title}`;
+    };
+
+    function isEditing(target) {
+        return target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+    }
+
+    // Captured before page handlers, so the template's Esc → history.back() doesn't run as well
+    window.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey || isEditing(e.target)) return;
+
+        const target = { Escape: 'gallery', '[': 'prev', ']': 'next' }[e.key];
+        if (target && links[target]) {
+            e.preventDefault();
+            e.stopPropagation();
+            location.href = links[target];
+        }
+    }, true);
+
+    function start() {
+        document.body.appendChild(host);
+        document.querySelectorAll('a[data-gallery-link], a.back-button[href="#"]').forEach(link => {
+            link.href = links.gallery;
+        });
+
+        // Without navigation.js (gallery not deployed yet, offline) only the gallery link is shown
+        const loader = document.createElement('script');
+        loader.src = dataUrl.href;
+        loader.onerror = () => loader.remove();
+        (document.head || document.body).appendChild(loader);
+    }
+
+    if (document.body) {
+        start();
+    } else {
+        document.addEventListener('DOMContentLoaded', start);
+    }
+})();
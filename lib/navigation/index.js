@@ -0,0 +1,106 @@
+/**
+ * Gallery navigation bar
+ * With navigation.enabled (the default), every page of a deployed prototype gets
+ * ./bar.js injected (so all screens of a flow have it): links back to the gallery and to the previous and next prototype of
+ * the same feature. The prototype lists come from navigation.js, written next to the
+ * gallery's index.html, so new prototypes show up in their neighbours' bars without
+ * redeploying them. Prototypes opt out with "navigation": false in prototype.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeHtml } = require('../templates/html');
+const { insertBeforeBodyEnd } = require('../deploy-dir');
+
+const BAR_SOURCE = require('fs').readFileSync(path.join(__dirname, 'bar.js'), 'utf8');
+
+// Data file loaded by the bar, relative to the gallery URL
+const NAVIGATION_FILE = 'navigation.js';
+
+// Where the sync remembers the URL of the last gallery deployment
+const GALLERY_DEPLOYMENT_FILE = 'gallery-deployment.json';
+
+// Add the bar to an HTML document, configured through data attributes of its script tag.
+// Documents that already contain it are returned unchanged.
+// options.galleryUrl  URL of the gallery, absolute or relative to the page
+// options.feature     feature the prototype is listed under
+// options.prototype   slug of the prototype in navigation.js
+function injectNavigationBar(html, { galleryUrl, feature, prototype }) {
+    if (html.includes('data-gallery-navigation=')) return html;
+
+    const tag = `<script data-gallery-navigation="${escapeHtml(galleryUrl)}" data-gallery-feature="${escapeHtml(feature)}" data-gallery-prototype="${escapeHtml(prototype)}">\n${BAR_SOURCE}</script>\n`;
+    return insertBeforeBodyEnd(html, tag);
+}
+
+// Page transform for prepareDeployDir() (lib/deploy-dir.js) and transformPages(): the bar goes into
+// every page, like deploy.sh adds it. null when there is nothing to inject (see getNavigationTarget()).
+function navigationTransform(options) {
+    if (!options || !options.galleryUrl) return null;
+    return (html, file) => injectNavigationBar(html, { ...options, galleryUrl: getPageGalleryUrl(options.galleryUrl, file) });
+}
+
+// A relative gallery URL is relative to the prototype folder; pages in subfolders ("steps/two.html")
+// need it relative to themselves
+function getPageGalleryUrl(galleryUrl, file) {
+    const depth = file.split('/').length - 1;
+    if (depth === 0 || /^([a-z][a-z0-9+.-]*:|\/)/i.test(galleryUrl)) return galleryUrl;
+    return '../'.repeat(depth) + galleryUrl;
+}
+
+// Gallery URL the bar of a prototype links to, or null when it gets no bar: navigation disabled,
+// the prototype opted out (metadata "navigation": false) or the gallery URL is not known yet
+function getNavigationTarget(config, galleryUrl, metadata = {}) {
+    if (!config.navigation.enabled || metadata.navigation === false) return null;
+    return galleryUrl || null;
+}
+
+// Directory-like URLs get a trailing slash, so navigation.js resolves next to the gallery's index.html
+function normalizeGalleryUrl(url) {
+    if (!url) return null;
+    return /\/$|\.html?$/i.test(new URL(url, 'http://localhost').pathname) ? url : `${url}/`;
+}
+
+// The gallery URL: gallery.url when configured, else the URL of the last gallery deployment
+async function resolveGalleryUrl(config) {
+    if (config.gallery.url) {
+        return normalizeGalleryUrl(config.gallery.url);
+    }
+
+    try {
+        const saved = JSON.parse(await fs.readFile(path.join(config.galleryDir, GALLERY_DEPLOYMENT_FILE), 'utf8'));
+        return normalizeGalleryUrl(saved.url);
+    } catch {
+        return null;
+    }
+}
+
+// Remember the URL the gallery was deployed to
+async function saveGalleryDeployment(galleryDir, url) {
+    await fs.mkdir(galleryDir, { recursive: true });
+    await fs.writeFile(
+        path.join(galleryDir, GALLERY_DEPLOYMENT_FILE),
+        JSON.stringify({ url, deployedAt: new Date().toISOString() }, null, 2)
+    );
+}
+
+// Contents of navigation.js: calls the bar's callback with the prototypes of every feature in
+// gallery order. features: [{ name, title, prototypes: [{ slug, name, url }] }], urls absolute
+// or relative to the gallery.
+function renderNavigationScript(features) {
+    const data = JSON.stringify({ features })
+        .replace(/</g, '\\u003c')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+    return `window.prototypeGalleryNavigation && window.prototypeGalleryNavigation(${data});\n`;
+}
+
+module.exports = {
+    injectNavigationBar,
+    navigationTransform,
+    getNavigationTarget,
+    resolveGalleryUrl,
+    saveGalleryDeployment,
+    renderNavigationScript,
+    NAVIGATION_FILE,
+    GALLERY_DEPLOYMENT_FILE
+};
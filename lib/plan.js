@@ -0,0 +1,75 @@
+/**
+ * Deployment plans (--dry-run)
+ * What a sync or deploy would do, printed as tables or as JSON for tooling.
+ *
+ * A plan is a plain object:
+ *   prototypes: [{ slug, name, feature, action: 'deploy' | 'skip' | 'exclude', reason }]
+ *   gallery:    [{ slug, name, change: 'add' | 'update' | 'unchanged' | 'hidden' | 'remove' }]
+ *   prune:      [{ name, reason, url?, path? }]
+ */
+
+const { formatTable } = require('./table');
+
+const ACTION_LABELS = { deploy: 'deploy', skip: 'skip', exclude: 'excluded' };
+
+// Count prototypes by action and gallery entries by change
+function summarizePlan(plan) {
+    const count = (items, field) => items.reduce((counts, item) => {
+        counts[item[field]] = (counts[item[field]] || 0) + 1;
+        return counts;
+    }, {});
+
+    return {
+        actions: count(plan.prototypes, 'action'),
+        changes: count(plan.gallery || [], 'change'),
+        prune: (plan.prune || []).length
+    };
+}
+
+// Human-readable plan: one table per section plus a one-line summary
+function formatPlan(plan) {
+    const lines = [];
+    const { actions, changes, prune } = summarizePlan(plan);
+
+    lines.push(`Plan for ${plan.command} (dry run - nothing is deployed or written)`, '');
+
+    if (plan.prototypes.length === 0) {
+        lines.push('  No prototypes found');
+    } else {
+        lines.push(...formatTable(
+            ['Prototype', 'Feature', 'Action', 'Reason'],
+            plan.prototypes.map(item => [item.slug, item.feature || '', ACTION_LABELS[item.action], item.reason])
+        ));
+    }
+
+    if (plan.gallery) {
+        // Unlisted prototypes ("hidden") have no gallery entry to change
+        const changed = plan.gallery.filter(item => item.change !== 'unchanged' && item.change !== 'hidden');
+        const unchanged = (changes.unchanged || 0) + (changes.hidden || 0);
+        lines.push('', `Gallery entries (${changed.length} changed, ${unchanged} unchanged)`);
+        if (changed.length > 0) {
+            lines.push(...formatTable(['Entry', 'Change'], changed.map(item => [item.slug, item.change])));
+        }
+    }
+
+    if (plan.prune) {
+        lines.push('', `Pruned (${prune})`);
+        if (prune > 0) {
+            lines.push(...formatTable(['Entry', 'Reason'], plan.prune.map(item => [item.name, item.reason])));
+        }
+    }
+
+    lines.push('', `Would deploy ${actions.deploy || 0}, skip ${actions.skip || 0}, exclude ${actions.exclude || 0}`);
+    return lines.join('\n');
+}
+
+// Print a plan as JSON (--json) or as tables
+function printPlan(plan, { json = false } = {}) {
+    if (json) {
+        console.log(JSON.stringify({ ...plan, summary: summarizePlan(plan) }, null, 2));
+    } else {
+        console.log(formatPlan(plan));
+    }
+}
+
+module.exports = { formatPlan, printPlan, summarizePlan };
@@ -0,0 +1,165 @@
+/**
+ * Local preview server
+ * Serves the generated gallery at / and a static directory below it, and pushes a
+ * live reload (Server-Sent Events) to every open page when a watched file changes.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const RELOAD_PATH = '/__livereload';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mp3': 'audio/mpeg',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+const RELOAD_SCRIPT = `
+<script>
+    // Live reload injected by the preview server
+    new EventSource('${RELOAD_PATH}').addEventListener('reload', () => location.reload());
+</script>
+`;
+
+// Add the live reload client to an HTML document
+function injectReloadScript(html) {
+    return html.includes('</body>')
+        ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${RELOAD_SCRIPT}</body>`)
+        : html + RELOAD_SCRIPT;
+}
+
+// Start the server
+// options.rootDir       directory served below /
+// options.renderGallery async () => gallery HTML served at /
+// options.port          port to listen on (default 3000)
+// options.onChange      called with the changed path before browsers reload
+function startPreviewServer(options) {
+    const rootDir = path.resolve(options.rootDir);
+    const clients = new Set();
+
+    function sendHtml(res, html) {
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'], 'Cache-Control': 'no-store' });
+        res.end(injectReloadScript(html));
+    }
+
+    function sendError(res, status, message) {
+        res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.txt'] });
+        res.end(message);
+    }
+
+    async function serveFile(req, res, urlPath) {
+        const filePath = path.join(rootDir, urlPath);
+        if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+            return sendError(res, 403, 'Forbidden');
+        }
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(filePath);
+        } catch {
+            return sendError(res, 404, `Not found: ${urlPath}`);
+        }
+
+        if (stat.isDirectory()) {
+            // Redirect to the trailing-slash URL so relative asset paths resolve
+            if (!urlPath.endsWith('/')) {
+                res.writeHead(301, { Location: `${req.url.split('?')[0]}/` });
+                return res.end();
+            }
+            return serveFile(req, res, path.posix.join(urlPath, 'index.html'));
+        }
+
+        const ext = path.extname(filePath).toLowerCase();
+        if (ext === '.html') {
+            return sendHtml(res, await fs.promises.readFile(filePath, 'utf8'));
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[ext] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch {
+            return sendError(res, 400, 'Bad request');
+        }
+
+        try {
+            if (urlPath === RELOAD_PATH) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-store',
+                    Connection: 'keep-alive'
+                });
+                res.write(': connected\n\n');
+                clients.add(res);
+                req.on('close', () => clients.delete(res));
+                return;
+            }
+
+            if (urlPath === '/' || urlPath === '/index.html') {
+                return sendHtml(res, await options.renderGallery());
+            }
+
+            await serveFile(req, res, urlPath);
+        } catch (error) {
+            sendError(res, 500, error.message);
+        }
+    });
+
+    // Reload every open page, debounced so saving several files triggers one reload
+    let reloadTimer = null;
+    function scheduleReload(changedPath) {
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => {
+            if (options.onChange) {
+                options.onChange(changedPath);
+            }
+            for (const client of clients) {
+                client.write('event: reload\ndata: {}\n\n');
+            }
+        }, 100);
+    }
+
+    let watcher;
+    try {
+        watcher = fs.watch(rootDir, { recursive: true }, (event, filename) => scheduleReload(filename || ''));
+    } catch {
+        // Recursive watching is not supported everywhere; fall back to the top level
+        watcher = fs.watch(rootDir, (event, filename) => scheduleReload(filename || ''));
+    }
+
+    server.on('close', () => watcher.close());
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port || 3000, () => resolve(server));
+    });
+}
+
+module.exports = { startPreviewServer, injectReloadScript, CONTENT_TYPES };
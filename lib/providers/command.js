@@ -0,0 +1,72 @@
+/**
+ * Command deploy provider
+ * Runs a user-supplied shell command per deployment and reads the URL from its output
+ *
+ * The command runs inside the directory being deployed. {dir} and {name} in the
+ * command are replaced with the (quoted) directory and deployment name, which are
+ * also available as $DEPLOY_DIR and $DEPLOY_NAME. The optional remove command
+ * (used by prune) gets {name} / $DEPLOY_NAME the same way.
+ */
+
+const path = require('path');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+const DEFAULT_URL_PATTERN = 'https?://[^\\s"\'<>]+';
+
+function createCommandProvider(options = {}) {
+    const command = options.command;
+    const timeout = options.timeout || 60000;
+    const removeCommand = options.removeCommand;
+    const urlPattern = new RegExp(options.urlPattern || DEFAULT_URL_PATTERN, 'g');
+    const quote = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+    // Make sure a command is configured
+    async function check() {
+        if (!command) {
+            const error = new Error('No deploy command configured for the command deploy provider');
+            error.hint = ['Set DEPLOY_COMMAND, e.g. DEPLOY_COMMAND="rsync -a ./ static:/srv/{name}/ && echo https://static.example.com/{name}/"'];
+            throw error;
+        }
+        return [`Deploying with: ${command}`];
+    }
+
+    // Run the command and return the last URL it printed; aborting signal kills it
+    async function deploy({ dir, name, signal }) {
+        if (!command) {
+            throw new Error('No deploy command configured for the command deploy provider');
+        }
+
+        const resolvedDir = path.resolve(dir);
+        const slug = name || path.basename(resolvedDir);
+        const expanded = command
+            .replace(/\{dir\}/g, quote(resolvedDir))
+            .replace(/\{name\}/g, quote(slug));
+
+        const { stdout } = await execAsync(expanded, {
+            cwd: resolvedDir,
+            timeout,
+            signal,
+            env: { ...process.env, DEPLOY_DIR: resolvedDir, DEPLOY_NAME: slug }
+        });
+
+        const urls = stdout.match(urlPattern);
+        if (!urls) {
+            throw new Error(`Could not extract URL from output of: ${expanded}`);
+        }
+        return urls[urls.length - 1];
+    }
+
+    // Run the remove command for a deployment
+    async function remove({ name }) {
+        await execAsync(removeCommand.replace(/\{name\}/g, quote(name)), {
+            timeout,
+            env: { ...process.env, DEPLOY_NAME: name }
+        });
+    }
+
+    return { type: 'command', check, deploy, ...(removeCommand && { remove }) };
+}
+
+module.exports = { createCommandProvider };
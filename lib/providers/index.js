@@ -0,0 +1,36 @@
+/**
+ * Deploy providers
+ * Every provider exposes the same interface:
+ *
+ *   check()               → resolves with status messages, throws (with optional .hint) if unusable
+ *   deploy({ dir, name, signal }) → resolves with the public URL of the deployed directory;
+ *                           stops (and rejects) when the optional AbortSignal is aborted
+ *   remove({ name })      → removes a deployment (optional; missing when the provider cannot)
+ *   getUrl({ name })      → the URL that always serves the latest deployment of name, known before
+ *                           deploying (optional; only for providers whose URLs are predictable)
+ */
+
+const { ConfigError } = require('../errors');
+const { createVercelProvider } = require('./vercel');
+const { createLocalProvider } = require('./local');
+const { createCommandProvider } = require('./command');
+
+const PROVIDERS = {
+    vercel: createVercelProvider,
+    local: createLocalProvider,
+    command: createCommandProvider
+};
+
+// Create the provider selected by options.type (defaults to Vercel)
+function createProvider(options = {}) {
+    const type = options.type || 'vercel';
+    const factory = PROVIDERS[type];
+
+    if (!factory) {
+        throw new ConfigError(`Unknown deploy provider "${type}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return factory(options);
+}
+
+module.exports = { createProvider, PROVIDERS };
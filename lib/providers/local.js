@@ -0,0 +1,87 @@
+/**
+ * Local directory deploy provider
+ * Copies each deployment into a target directory, e.g. the document root of a static server
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const DEFAULT_EXCLUDES = ['.vercel', '.git', 'node_modules', '.DS_Store'];
+
+// Folders of earlier deployments inside <targetDir>/<name>
+const isVersionDir = (entry) => /^v\d+$/.test(entry);
+
+function createLocalProvider(options = {}) {
+    const targetDir = options.targetDir ? path.resolve(options.targetDir) : null;
+    const exclude = options.exclude || DEFAULT_EXCLUDES;
+
+    // Public URL of the target directory; falls back to a file:// URL
+    function getBaseUrl() {
+        const baseUrl = options.baseUrl || pathToFileURL(targetDir).href;
+        return baseUrl.replace(/\/+$/, '');
+    }
+
+    // Make sure the target directory is configured and writable
+    async function check() {
+        if (!targetDir) {
+            const error = new Error('No target directory configured for the local deploy provider');
+            error.hint = ['Set DEPLOY_TARGET_DIR to the directory your static server publishes'];
+            throw error;
+        }
+
+        await fs.mkdir(targetDir, { recursive: true });
+        await fs.access(targetDir, constants.W_OK);
+        return [`Publishing to ${targetDir} (${getBaseUrl()})`];
+    }
+
+    // Copy the directory to <targetDir>/<name>/v<N>/ and return its URL, so every deployment stays
+    // reachable for rollbacks. <targetDir>/<name>/ itself is replaced with the latest copy (its
+    // v<N> folders are kept). An aborted signal stops it before it starts copying.
+    async function deploy({ dir, name, signal }) {
+        if (!targetDir) {
+            throw new Error('No target directory configured for the local deploy provider');
+        }
+
+        const slug = name || path.basename(path.resolve(dir));
+        const destination = path.join(targetDir, slug);
+        const entries = await fs.readdir(destination).catch(() => []);
+        const version = Math.max(0, ...entries.filter(isVersionDir).map(entry => Number(entry.slice(1)))) + 1;
+        const copyOptions = {
+            recursive: true,
+            filter: (source) => !exclude.includes(path.basename(source))
+        };
+
+        signal?.throwIfAborted();
+        await fs.cp(dir, path.join(destination, `v${version}`), copyOptions);
+        for (const entry of entries.filter(entry => !isVersionDir(entry))) {
+            await fs.rm(path.join(destination, entry), { recursive: true, force: true });
+        }
+        await fs.cp(dir, destination, copyOptions);
+
+        return `${getBaseUrl()}/${encodeURIComponent(slug)}/v${version}/`;
+    }
+
+    // URL that always serves the latest deployment of name, known before it is deployed
+    function getUrl({ name }) {
+        return targetDir ? `${getBaseUrl()}/${encodeURIComponent(name)}/` : null;
+    }
+
+    // Delete <targetDir>/<name> with all its versions
+    async function remove({ name }) {
+        if (!targetDir) {
+            throw new Error('No target directory configured for the local deploy provider');
+        }
+
+        const destination = path.join(targetDir, name);
+        if (path.dirname(destination) !== targetDir) {
+            throw new Error(`Refusing to remove "${name}" outside ${targetDir}`);
+        }
+        await fs.rm(destination, { recursive: true, force: true });
+    }
+
+    return { type: 'local', check, deploy, getUrl, remove };
+}
+
+module.exports = { createLocalProvider };
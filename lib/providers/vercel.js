@@ -0,0 +1,64 @@
+/**
+ * Vercel deploy provider
+ * Deploys a directory with the Vercel CLI and reads the production URL from its output
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+
+function createVercelProvider(options = {}) {
+    const timeout = options.timeout || 60000;
+
+    // Make sure the Vercel CLI is installed and logged in
+    async function check() {
+        const messages = [];
+
+        try {
+            const { stdout } = await execAsync('vercel --version');
+            messages.push(`Vercel CLI found: ${stdout.trim()}`);
+        } catch {
+            const error = new Error('Vercel CLI not found!');
+            error.hint = [
+                '1. Install Vercel CLI: npm install -g vercel',
+                '2. Then login: vercel login'
+            ];
+            throw error;
+        }
+
+        try {
+            const { stdout } = await execAsync('vercel whoami');
+            messages.push(`Logged in to Vercel as: ${stdout.trim()}`);
+        } catch {
+            const error = new Error('Not logged in to Vercel!');
+            error.hint = ['Run: vercel login (this will open your browser to authenticate)'];
+            throw error;
+        }
+
+        return messages;
+    }
+
+    // Deploy a directory to production and return its URL; aborting signal kills the Vercel CLI
+    async function deploy({ dir, name, signal }) {
+        const nameFlag = name ? ` --name="${name}"` : '';
+        const { stdout } = await execAsync(
+            `vercel --prod${nameFlag} --yes --no-clipboard`,
+            { cwd: dir, timeout, signal }
+        );
+
+        const urlMatch = stdout.match(/https:\/\/[^\s]+\.vercel\.app/);
+        if (!urlMatch) {
+            throw new Error('Could not extract URL from Vercel output');
+        }
+        return urlMatch[0];
+    }
+
+    // Remove all deployments of a project
+    async function remove({ name }) {
+        await execAsync(`vercel remove "${name}" --yes`, { timeout });
+    }
+
+    return { type: 'vercel', check, deploy, remove };
+}
+
+module.exports = { createVercelProvider };
@@ -0,0 +1,175 @@
+/**
+ * Prototype scaffolding
+ * Creates a prototype folder from a template (prototype-manager: npm run new). Templates are
+ * folders of files copied into the new prototype:
+ *
+ *   ./templates/<id>/            built-in templates
+ *   <scaffold.templatesDir>/<id>/  project templates (default: ./templates), replacing a
+ *                                built-in template with the same id
+ *
+ * An optional template.json describes the template and is not copied:
+ *
+ *   {
+ *     "title": "Checkout flow",
+ *     "description": "Cart, address and payment screens",
+ *     "metadata": { "tags": ["checkout"] },                       merged into prototype.json
+ *     "variables": { "accent": { "message": "Accent color", "default": "#4f46e5" } }
+ *   }
+ *
+ * {{variable}} in text files and file names is replaced with the built-in variables (see
+ * getVariables) and the template's own, escaped for HTML and JSON files. Unknown placeholders
+ * are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('../templates/html');
+const { MANIFEST_FILE } = require('../metadata');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const TEMPLATE_FILE = 'template.json';
+
+// Files whose contents get variables; anything else is copied as is
+const TEXT_EXTENSIONS = ['.html', '.htm', '.css', '.js', '.mjs', '.json', '.md', '.txt', '.svg', '.xml', '.webmanifest'];
+
+// Folder names of features and prototypes: they become URLs and deployment names
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// "welcome-screen" → "Welcome Screen"
+function formatTitle(slug) {
+    return slug.replace(/-/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// true, or why the text cannot be a folder name
+function validateSlug(text) {
+    if (!text) return 'Enter a name';
+    if (SLUG_PATTERN.test(text)) return true;
+    const suggestion = slugify(text);
+    return `Use lowercase letters, digits and hyphens${suggestion ? ` (e.g. "${suggestion}")` : ''}`;
+}
+
+function readTemplate(id, dir, source) {
+    let info = {};
+    const infoFile = path.join(dir, TEMPLATE_FILE);
+    if (fs.existsSync(infoFile)) {
+        try {
+            info = JSON.parse(fs.readFileSync(infoFile, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid ${path.relative(process.cwd(), infoFile)}: ${error.message}`);
+        }
+    }
+    return {
+        id,
+        title: info.title || id,
+        description: info.description || '',
+        metadata: info.metadata || {},
+        variables: info.variables || {},
+        dir,
+        source
+    };
+}
+
+function readTemplateDir(dir, source) {
+    if (!dir || !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map(entry => readTemplate(entry.name, path.join(dir, entry.name), source));
+}
+
+// Built-in and project templates; project templates replace built-in ones with the same id
+function listTemplates(projectDir) {
+    const project = readTemplateDir(projectDir, 'project');
+    const builtIn = readTemplateDir(BUILT_IN_DIR, 'built-in')
+        .filter(template => !project.some(own => own.id === template.id));
+    return [...builtIn, ...project];
+}
+
+// Variables every template can use
+function getVariables({ name, title, description = '', owner = '', feature = '', featureTitle = feature, projectTitle = '' }) {
+    const now = new Date();
+    return {
+        name,
+        title,
+        description,
+        owner,
+        feature,
+        featureTitle,
+        projectTitle,
+        date: now.toISOString().slice(0, 10),
+        year: String(now.getFullYear())
+    };
+}
+
+// Replace {{variable}} placeholders, escaping the values with escape
+function substitute(text, variables, escape = (value) => value) {
+    return text.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (match, key) => (
+        Object.prototype.hasOwnProperty.call(variables, key) ? escape(String(variables[key])) : match
+    ));
+}
+
+function escaperFor(file) {
+    switch (path.extname(file).toLowerCase()) {
+        case '.html':
+        case '.htm':
+        case '.svg':
+        case '.xml':
+            return escapeHtml;
+        case '.json':
+        case '.webmanifest':
+            return (value) => JSON.stringify(value).slice(1, -1);
+        default:
+            return undefined;
+    }
+}
+
+function copyTemplateDir(sourceDir, targetDir, variables, files, root = targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    for (const entry of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+        if (sourceDir === root && entry.name === TEMPLATE_FILE) continue;
+
+        const source = path.join(sourceDir, entry.name);
+        const target = path.join(targetDir, substitute(entry.name, variables, slugify));
+        if (entry.isDirectory()) {
+            copyTemplateDir(source, target, variables, files, root);
+        } else if (TEXT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+            fs.writeFileSync(target, substitute(fs.readFileSync(source, 'utf8'), variables, escaperFor(entry.name)));
+            files.push(target);
+        } else {
+            fs.copyFileSync(source, target);
+            files.push(target);
+        }
+    }
+}
+
+// Create the prototype folder dir from template with variables, then write its prototype.json:
+// defaults, then any prototype.json the template ships, its template.json metadata and metadata.
+// Returns the files written.
+function createPrototype({ template, dir, variables, metadata = {}, defaults = {} }) {
+    if (fs.existsSync(dir)) {
+        throw new Error(`${path.relative(process.cwd(), dir)} already exists`);
+    }
+
+    const files = [];
+    const values = { ...variables };
+    for (const [key, spec] of Object.entries(template.variables)) {
+        if (values[key] === undefined) values[key] = spec.default ?? '';
+    }
+    copyTemplateDir(template.dir, dir, values, files, template.dir);
+
+    const manifestFile = path.join(dir, MANIFEST_FILE);
+    const shipped = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, 'utf8')) : {};
+    const manifest = Object.fromEntries(
+        Object.entries({ ...defaults, ...shipped, ...template.metadata, ...metadata })
+            .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2) + '\n');
+    if (!files.includes(manifestFile)) files.push(manifestFile);
+
+    return files;
+}
+
+module.exports = { listTemplates, createPrototype, getVariables, substitute, slugify, formatTitle, validateSlug, BUILT_IN_DIR };
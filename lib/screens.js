@@ -0,0 +1,100 @@
+/**
+ * Screens of multi-screen flow prototypes
+ * A prototype folder with more than one top-level HTML page is a flow, and its pages are the
+ * screens. "screens" in prototype.json (or <meta name="prototype:screens" content="...">) orders
+ * them and limits the flow to the pages it lists:
+ *
+ *   "screens": ["index.html", { "file": "details.html", "title": "Shipping details" }, "review.html"]
+ *
+ * Without it every top-level page is a screen: index.html first, then by file name with numbers
+ * in natural order (2-details.html before 10-done.html). A screen's title is the one in the
+ * list, else its prototype:title meta tag, <title> or first heading, else its file name.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseMetaTags } = require('./metadata');
+const { extractText, toText } = require('./search-index');
+
+const collator = new Intl.Collator('en', { numeric: true, sensitivity: 'base' });
+
+function isPage(file) {
+    return /\.html?$/i.test(file);
+}
+
+// index.html first, then natural file name order
+function compareScreens(a, b) {
+    if (a === 'index.html' || b === 'index.html') return a === 'index.html' ? -1 : 1;
+    return collator.compare(a, b);
+}
+
+// "02-shipping-details.html" → "Shipping Details"
+function titleFromFile(file) {
+    const name = path.basename(file).replace(/\.html?$/i, '').replace(/^\d+[-_.\s]*/, '') || path.basename(file);
+    return name.replace(/[-_]+/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+// "Review – Checkout" → "Review" in the Checkout prototype; titles that are only its name stay
+function withoutPrototypeName(title, name) {
+    const parts = title.split(/\s+[-–—|:]\s+/);
+    const rest = parts.filter(part => part.toLowerCase() !== String(name).toLowerCase());
+    return rest.length > 0 && rest.length < parts.length ? rest.join(' – ') : title;
+}
+
+async function readPageTitle(file) {
+    const html = await fs.readFile(file, 'utf8');
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return parseMetaTags(html).title || (title && toText(title[1])) || extractText(html).headings[0] || null;
+}
+
+// Screens of a prototype folder, in order: { screens: [{ file, title }], missing }.
+// metadata is the prototype's (for "screens"), name its name (dropped from page titles);
+// missing lists files of "screens" that do not exist.
+async function readScreens(prototypePath, { metadata = {}, name = '' } = {}) {
+    const missing = [];
+    let entries;
+
+    if (metadata.screens) {
+        entries = [];
+        for (const entry of metadata.screens) {
+            const screen = typeof entry === 'string' ? { file: entry } : entry;
+            const exists = await fs.access(path.join(prototypePath, screen.file)).then(() => true, () => false);
+            if (exists) {
+                entries.push(screen);
+            } else {
+                missing.push(screen.file);
+            }
+        }
+    } else {
+        entries = (await fs.readdir(prototypePath)).filter(isPage).sort(compareScreens).map(file => ({ file }));
+    }
+
+    const screens = [];
+    for (const { file, title } of entries) {
+        const pageTitle = title || await readPageTitle(path.join(prototypePath, file)).catch(() => null);
+        screens.push({
+            file: file.split(/[\\/]/).join('/'),
+            title: title || (pageTitle && withoutPrototypeName(pageTitle, name)) || titleFromFile(file)
+        });
+    }
+
+    return { screens, missing };
+}
+
+// URL of a screen from its prototype's URL: index.html is the prototype itself. Works for
+// absolute URLs and relative ones (deploy.sh galleries, offline exports).
+function screenUrl(baseUrl, file) {
+    if (file === 'index.html') return baseUrl;
+    const encoded = file.split('/').map(encodeURIComponent).join('/');
+
+    if (/^https?:\/\//i.test(baseUrl)) {
+        const url = new URL(baseUrl);
+        if (!/\/$|\.[a-z0-9]+$/i.test(url.pathname)) url.pathname += '/';
+        return new URL(encoded, url).href;
+    }
+
+    const [base] = baseUrl.split(/[?#]/);
+    return base.replace(/[^/]*$/, '') + encoded;
+}
+
+module.exports = { readScreens, screenUrl, compareScreens };
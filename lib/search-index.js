@@ -0,0 +1,99 @@
+/**
+ * Full-text search index for the ⌘K palette
+ * Headings and visible body text of every prototype, extracted at sync time and kept in
+ * gallery/search-index.json; entries are only re-extracted when the content digest changes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const INDEX_FILE = 'search-index.json';
+
+// Body text kept per prototype (the palette data is embedded in the gallery page)
+const MAX_TEXT_LENGTH = 3000;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Text content of an HTML fragment, whitespace collapsed
+function toText(fragment) {
+    return decodeEntities(fragment.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Headings and visible text of an HTML page (no head, scripts, styles or comments)
+function extractText(html) {
+    const body = html
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<head[\s>][\s\S]*?<\/head>/i, ' ')
+        .replace(/<(script|style|noscript|template|svg)[\s>][\s\S]*?<\/\1>/gi, ' ');
+
+    const headings = [];
+    for (const match of body.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)) {
+        const heading = toText(match[1]);
+        if (heading && !headings.includes(heading)) {
+            headings.push(heading);
+        }
+    }
+
+    return { headings, text: toText(body).slice(0, MAX_TEXT_LENGTH) };
+}
+
+// Index entry of a prototype folder: index.html first, then its other top-level pages
+async function indexPrototype(dir) {
+    const files = (await fs.readdir(dir))
+        .filter(file => file.endsWith('.html'))
+        .sort((a, b) => (a === 'index.html' ? -1 : b === 'index.html' ? 1 : a.localeCompare(b)));
+
+    const headings = [];
+    let text = '';
+
+    for (const file of files) {
+        const page = extractText(await fs.readFile(path.join(dir, file), 'utf8'));
+        page.headings.forEach(heading => headings.includes(heading) || headings.push(heading));
+        text = text ? `${text} ${page.text}` : page.text;
+        if (text.length >= MAX_TEXT_LENGTH) break;
+    }
+
+    return { headings, text: text.slice(0, MAX_TEXT_LENGTH) };
+}
+
+async function loadSearchIndex(galleryDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(galleryDir, INDEX_FILE), 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+// Index every prototype, reusing entries of the previous index whose digest is unchanged.
+// digests maps slugs to content digests (omit to always re-extract).
+async function buildSearchIndex(prototypes, previous = {}, digests = {}) {
+    const index = {};
+
+    for (const proto of prototypes) {
+        const digest = digests[proto.slug] || null;
+        const cached = previous[proto.slug];
+
+        index[proto.slug] = digest && cached && cached.digest === digest
+            ? cached
+            : { digest, ...await indexPrototype(proto.path) };
+    }
+
+    return index;
+}
+
+async function saveSearchIndex(galleryDir, index) {
+    await fs.mkdir(galleryDir, { recursive: true });
+    await fs.writeFile(path.join(galleryDir, INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+module.exports = { extractText, toText, indexPrototype, buildSearchIndex, loadSearchIndex, saveSearchIndex, INDEX_FILE };
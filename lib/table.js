@@ -0,0 +1,29 @@
+/**
+ * Plain-text tables for terminal output
+ * Column widths ignore ANSI color codes, so cells can be colored.
+ */
+
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+function visibleLength(text) {
+    return String(text).replace(ANSI_PATTERN, '').length;
+}
+
+// Lines of a table with a header row and a separator, indented by two spaces
+function formatTable(header, rows) {
+    const widths = header.map((title, column) =>
+        Math.max(visibleLength(title), ...rows.map(row => visibleLength(row[column] ?? '')))
+    );
+    const formatRow = (row) => '  ' + row
+        .map((cell, column) => String(cell ?? '') + ' '.repeat(widths[column] - visibleLength(cell ?? '')))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        formatRow(header),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(formatRow)
+    ];
+}
+
+module.exports = { formatTable };
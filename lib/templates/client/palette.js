@@ -0,0 +1,225 @@
+// ⌘K command palette. Inlined into the gallery page after search.js; reads the prototypes
+// (with their indexed headings and text) from the #gallery-data JSON block rendered by
+// lib/templates. Recently opened prototypes are kept in localStorage and listed first
+// while the query is empty. Screens of multi-screen flows are found by their title, so a
+// query like "checkout review" jumps straight to that screen.
+(function () {
+    const data = JSON.parse(document.getElementById('gallery-data').textContent);
+    const cmdPalette = document.getElementById('cmdPalette');
+    const cmdInput = document.getElementById('cmdInput');
+    const cmdResults = document.getElementById('cmdResults');
+    const { search, highlight, snippet, escapeHtml } = PrototypeSearch;
+    const RECENT_KEY = 'prototype-gallery:recent';
+    const MAX_RECENT = 5;
+    let selectedIndex = 0;
+    let filteredResults = [];
+    let recentCount = 0;
+
+    // Flatten all deployed prototypes for searching
+    const allPrototypes = data.features.flatMap(feature =>
+        feature.prototypes.map(p => ({ ...p, feature: feature.name }))
+    ).filter(p => p.url !== '#');
+
+    // Screens of flows after their first page (that one is the prototype itself)
+    const allScreens = allPrototypes.flatMap(proto => (proto.screens || []).map((screen, index) => ({
+        name: screen.title,
+        prototype: proto.name,
+        feature: proto.feature,
+        tags: proto.tags,
+        slug: proto.slug,
+        url: screen.url,
+        locked: proto.locked,
+        screen: index + 1,
+        screenCount: proto.screens.length
+    })).filter(screen => screen.url !== proto.url));
+
+    function loadRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    function rememberPrototype(slug) {
+        try {
+            const recent = [slug, ...loadRecent().filter(s => s !== slug)].slice(0, MAX_RECENT);
+            localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+        } catch {
+            // Storage disabled (private mode, file:// in some browsers): no recent list
+        }
+    }
+
+    function openCommandPalette() {
+        cmdPalette.classList.add('open');
+        cmdInput.value = '';
+        cmdInput.focus();
+        searchPrototypes('');
+    }
+
+    function closeCommandPalette() {
+        cmdPalette.classList.remove('open');
+        selectedIndex = 0;
+    }
+
+    function searchPrototypes(query) {
+        if (query.trim()) {
+            // Screens only when their own title matched, not just their flow's name or tags
+            filteredResults = search([...allPrototypes, ...allScreens], query)
+                .filter(({ proto, matches }) => !proto.screen || matches.name);
+            recentCount = 0;
+        } else {
+            // Recently opened first, then everything else in gallery order
+            const recent = loadRecent()
+                .map(slug => allPrototypes.find(p => p.slug === slug))
+                .filter(Boolean);
+            filteredResults = [...recent, ...allPrototypes.filter(p => !recent.includes(p))]
+                .map(proto => ({ proto, matches: {} }));
+            recentCount = recent.length;
+        }
+
+        selectedIndex = 0;
+        renderResults();
+    }
+
+    // Excerpt of the headings or body text a term matched
+    function renderSnippet(matches, proto) {
+        if (matches.headings) return `<div class="cmd-item-snippet">${snippet(proto.headings.join(' · '), matches.headings)}</div>`;
+        if (matches.text) return `<div class="cmd-item-snippet">${snippet(proto.text, matches.text)}</div>`;
+        return '';
+    }
+
+    // Tag chips; match ranges are offsets into the tags joined with ' · '
+    function renderTags(tags, ranges = []) {
+        let offset = 0;
+        const chips = tags.map(tag => {
+            const own = ranges
+                .filter(([start, end]) => start >= offset && end <= offset + tag.length)
+                .map(([start, end]) => [start - offset, end - offset]);
+            offset += tag.length + 3;
+            return `<span class="tag">${highlight(tag, own)}</span>`;
+        });
+        return `<div class="tags">${chips.join('')}</div>`;
+    }
+
+    // A screen of a flow: its title, then where it is in the flow
+    function renderScreenItem({ proto, matches }, index) {
+        return `
+            <div class="cmd-item ${index === selectedIndex ? 'selected' : ''}" data-index="${index}">
+                <div class="cmd-item-icon">↳</div>
+                <div class="cmd-item-content">
+                    <div class="cmd-item-title">${proto.locked ? '<span title="Password protected">🔒</span> ' : ''}${highlight(proto.name, matches.name)}</div>
+                    <div class="cmd-item-desc">Screen ${proto.screen} of ${proto.screenCount} · ${highlight(proto.prototype, matches.prototype)}</div>
+                </div>
+                <span class="cmd-item-feature">${highlight(proto.feature, matches.feature)}</span>
+            </div>
+        `;
+    }
+
+    function renderItem({ proto, matches }, index) {
+        if (proto.screen) return renderScreenItem({ proto, matches }, index);
+
+        // Description and owner share a line, so owner ranges move past the description
+        const description = [proto.description, proto.owner].filter(Boolean).join(' · ');
+        const ownerOffset = proto.description ? proto.description.length + 3 : 0;
+        const descriptionRanges = (matches.description || [])
+            .concat((matches.owner || []).map(([start, end]) => [start + ownerOffset, end + ownerOffset]));
+        const tags = (proto.tags || []).length ? renderTags(proto.tags, matches.tags) : '';
+
+        return `
+            <div class="cmd-item ${index === selectedIndex ? 'selected' : ''}" data-index="${index}">
+                <div class="cmd-item-icon ${proto.thumbnail ? 'has-thumbnail' : ''}">${proto.thumbnail ? `<img src="${escapeHtml(proto.thumbnail)}" alt="">` : '📄'}</div>
+                <div class="cmd-item-content">
+                    <div class="cmd-item-title">${proto.locked ? '<span title="Password protected">🔒</span> ' : ''}${highlight(proto.name, matches.name)}${proto.screens?.length ? `<span class="cmd-item-screens">${proto.screens.length} screens</span>` : ''}</div>
+                    <div class="cmd-item-desc">${highlight(description, descriptionRanges)}</div>
+                    ${renderSnippet(matches, proto)}
+                    ${tags}
+                </div>
+                <span class="cmd-item-feature">${highlight(proto.feature, matches.feature)}</span>
+            </div>
+        `;
+    }
+
+    function renderResults() {
+        if (filteredResults.length === 0) {
+            cmdResults.innerHTML = '<div class="no-results">No deployed prototypes found</div>';
+            return;
+        }
+
+        const items = filteredResults.map(renderItem);
+        if (recentCount > 0) {
+            items.splice(recentCount, 0, '<div class="cmd-section">All prototypes</div>');
+            items.unshift('<div class="cmd-section">Recently opened</div>');
+        }
+        cmdResults.innerHTML = items.join('');
+
+        // Add click handlers
+        cmdResults.querySelectorAll('.cmd-item').forEach(item => {
+            item.addEventListener('click', () => {
+                navigateToPrototype(parseInt(item.dataset.index));
+            });
+        });
+
+        const selected = cmdResults.querySelector('.cmd-item.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    function navigateToPrototype(index) {
+        const result = filteredResults[index];
+        if (result) {
+            rememberPrototype(result.proto.slug);
+            window.location.href = result.proto.url;
+        }
+    }
+
+    // Tiles opened straight from the gallery count as recent too
+    document.querySelectorAll('.tile-link[data-slug]').forEach(link => {
+        link.addEventListener('click', () => {
+            if (!link.closest('.tile').classList.contains('pending')) {
+                rememberPrototype(link.dataset.slug);
+            }
+        });
+    });
+
+    // Keyboard shortcuts
+    document.addEventListener('keydown', (e) => {
+        // Cmd+K or Ctrl+K to open
+        if ((e.metaKey || e.ctrlKey) && e.key === 'k') {
+            e.preventDefault();
+            openCommandPalette();
+        }
+
+        // Escape to close
+        if (e.key === 'Escape' && cmdPalette.classList.contains('open')) {
+            closeCommandPalette();
+        }
+
+        // Navigation in command palette
+        if (cmdPalette.classList.contains('open')) {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                selectedIndex = Math.min(selectedIndex + 1, filteredResults.length - 1);
+                renderResults();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                selectedIndex = Math.max(selectedIndex - 1, 0);
+                renderResults();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                navigateToPrototype(selectedIndex);
+            }
+        }
+    });
+
+    // Input handler
+    cmdInput.addEventListener('input', (e) => {
+        searchPrototypes(e.target.value);
+    });
+
+    // Click outside to close
+    cmdPalette.addEventListener('click', (e) => {
+        if (e.target === cmdPalette) {
+            closeCommandPalette();
+        }
+    });
+})();
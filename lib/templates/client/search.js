@@ -0,0 +1,232 @@
+// Ranked fuzzy search for the ⌘K palette. Inlined into the gallery page before palette.js
+// (exposed as PrototypeSearch); also loadable with require() for scripting.
+//
+//   PrototypeSearch.search(prototypes, 'tag:mobile feature:checkout paymnt form')
+//
+// Every free-text term has to match some field: exact substrings rank highest (more so at
+// word starts), then in-order character matches in short fields, then words within one or
+// two typos. Field weights favour names over tags, headings, descriptions and body text.
+// Screens of flows are searched like prototypes, with their flow's name as "prototype".
+const PrototypeSearch = (function () {
+    const FIELDS = [
+        { key: 'name', weight: 10, fuzzy: true },
+        { key: 'slug', weight: 6, fuzzy: true },
+        { key: 'tags', weight: 6, fuzzy: true },
+        { key: 'prototype', weight: 5, fuzzy: true },
+        { key: 'feature', weight: 4, fuzzy: true },
+        { key: 'headings', weight: 3 },
+        { key: 'description', weight: 3 },
+        { key: 'owner', weight: 2 },
+        { key: 'status', weight: 2 },
+        { key: 'text', weight: 1 }
+    ];
+
+    const FILTERS = ['tag', 'feature'];
+
+    // Split a query into free-text terms and tag:/feature: filters
+    function parseQuery(query) {
+        const parsed = { terms: [], tag: [], feature: [] };
+
+        for (const token of String(query || '').toLowerCase().split(/\s+/).filter(Boolean)) {
+            const [, prefix, value] = token.match(/^(\w+):(.*)$/) || [];
+            if (FILTERS.includes(prefix)) {
+                if (value) parsed[prefix].push(value);
+            } else {
+                parsed.terms.push(token);
+            }
+        }
+
+        return parsed;
+    }
+
+    function fieldText(proto, key) {
+        const value = proto[key];
+        if (Array.isArray(value)) return value.join(' · ');
+        return value ? String(value) : '';
+    }
+
+    function isWordStart(text, index) {
+        return index === 0 || /[^a-z0-9]/i.test(text[index - 1]);
+    }
+
+    // Edit distance with adjacent transpositions, giving up once it exceeds max
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous2 = [];
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previous2[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Match one (lowercase) term against a field: { score, ranges } or null
+    function matchTerm(term, text, fuzzy) {
+        const lower = text.toLowerCase();
+
+        // Substring, preferring one at a word start
+        let index = lower.indexOf(term);
+        let wordIndex = index;
+        while (wordIndex !== -1 && !isWordStart(lower, wordIndex)) {
+            wordIndex = lower.indexOf(term, wordIndex + 1);
+        }
+        if (wordIndex !== -1) index = wordIndex;
+        if (index !== -1) {
+            const bonus = index === 0 ? 60 : wordIndex !== -1 ? 40 : 0;
+            const whole = lower.length === term.length ? 20 : 0;
+            return { score: 100 + bonus + whole, ranges: [[index, index + term.length]] };
+        }
+
+        // Characters in order ("chkout" → "Checkout"), only in short fields and compact spans
+        if (fuzzy && term.length >= 2) {
+            const positions = [];
+            let from = 0;
+            for (const char of term) {
+                const found = lower.indexOf(char, from);
+                if (found === -1) break;
+                positions.push(found);
+                from = found + 1;
+            }
+            if (positions.length === term.length) {
+                const span = positions[positions.length - 1] - positions[0] + 1;
+                if (span <= term.length * 2) {
+                    return {
+                        score: 70 - (span - term.length) * 5 + (isWordStart(lower, positions[0]) ? 10 : 0),
+                        ranges: positions.map(position => [position, position + 1])
+                    };
+                }
+            }
+        }
+
+        // Typos: a word (or word prefix) within one edit, two for longer terms
+        if (term.length >= 4) {
+            const maxEdits = term.length >= 8 ? 2 : 1;
+            let best = null;
+            for (const word of lower.matchAll(/[a-z0-9]+/g)) {
+                const candidates = [word[0], word[0].slice(0, term.length)];
+                for (const candidate of candidates) {
+                    if (candidate.length < term.length - maxEdits) continue;
+                    const distance = editDistance(term, candidate, maxEdits);
+                    if (distance <= maxEdits && (!best || distance < best.distance)) {
+                        best = { distance, ranges: [[word.index, word.index + candidate.length]] };
+                    }
+                }
+                if (best && best.distance === 1 && maxEdits === 1) break;
+            }
+            if (best) return { score: 50 - best.distance * 15, ranges: best.ranges };
+        }
+
+        return null;
+    }
+
+    // Score a prototype against the parsed terms: { score, matches: { field: ranges } } or null
+    function scorePrototype(proto, terms) {
+        let score = 0;
+        const matches = {};
+
+        for (const term of terms) {
+            let best = null;
+            for (const field of FIELDS) {
+                const text = fieldText(proto, field.key);
+                if (!text) continue;
+                const match = matchTerm(term, text, field.fuzzy);
+                if (match && (!best || match.score * field.weight > best.score)) {
+                    best = { field: field.key, score: match.score * field.weight, ranges: match.ranges };
+                }
+            }
+            if (!best) return null;
+
+            score += best.score;
+            matches[best.field] = (matches[best.field] || []).concat(best.ranges);
+        }
+
+        return { score, matches };
+    }
+
+    function matchesFilters(proto, parsed) {
+        const tags = (proto.tags || []).map(tag => tag.toLowerCase());
+        const feature = fieldText(proto, 'feature').toLowerCase();
+
+        return parsed.tag.every(value => tags.some(tag => tag.includes(value))) &&
+            parsed.feature.every(value => feature.includes(value));
+    }
+
+    // Filter and rank prototypes: [{ proto, score, matches }], best first, ties in original order
+    function search(prototypes, query) {
+        const parsed = parseQuery(query);
+        const results = [];
+
+        prototypes.forEach((proto, order) => {
+            if (!matchesFilters(proto, parsed)) return;
+            const result = scorePrototype(proto, parsed.terms);
+            if (result) results.push({ proto, order, ...result });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .map(({ order, ...result }) => result);
+    }
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Escaped text with the matched ranges wrapped in <mark>
+    function highlight(text, ranges) {
+        text = String(text ?? '');
+        const merged = [];
+        for (const [start, end] of (ranges || []).slice().sort((a, b) => a[0] - b[0])) {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        }
+
+        let result = '';
+        let position = 0;
+        for (const [start, end] of merged) {
+            result += escapeHtml(text.slice(position, start)) + '<mark>' + escapeHtml(text.slice(start, end)) + '</mark>';
+            position = end;
+        }
+        return result + escapeHtml(text.slice(position));
+    }
+
+    // Highlighted excerpt of a long text around its first match
+    function snippet(text, ranges, context = 40) {
+        text = String(text ?? '');
+        const first = Math.min(...ranges.map(range => range[0]));
+        const start = Math.max(0, first - context);
+        const end = Math.min(text.length, first + context * 2);
+        const shifted = ranges
+            .filter(([from, to]) => from >= start && to <= end)
+            .map(([from, to]) => [from - start, to - start]);
+
+        return (start > 0 ? '…' : '') + highlight(text.slice(start, end), shifted) + (end < text.length ? '…' : '');
+    }
+
+    return { search, parseQuery, highlight, snippet, escapeHtml, editDistance };
+})();
+
+if (typeof module !== 'undefined') module.exports = PrototypeSearch;
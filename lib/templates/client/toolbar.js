@@ -0,0 +1,144 @@
+// Gallery toolbar: feature/status/tag/changed filters, sorting and the grid/list layout.
+// Inlined into the gallery page; the state lives in the query string, e.g.
+// ?feature=onboarding&changed=7d&sort=changed&view=list, so a filtered view can be shared.
+(function () {
+    const toolbar = document.getElementById('galleryToolbar');
+    if (!toolbar) return;
+
+    const sectionsRoot = document.getElementById('feature-sections');
+    const sections = Array.from(sectionsRoot.querySelectorAll('.feature-section'));
+    const noMatches = document.getElementById('noMatches');
+    const count = document.getElementById('galleryCount');
+    const reset = document.getElementById('galleryReset');
+    const KEYS = ['feature', 'status', 'tag', 'changed', 'sort', 'view'];
+    const FILTERS = ['feature', 'status', 'tag', 'changed'];
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Remember the gallery order so "Gallery order" can restore it
+    sections.forEach((section, index) => {
+        section.dataset.order = index;
+        section.querySelectorAll('.tile').forEach((tile, tileIndex) => {
+            tile.dataset.order = tileIndex;
+        });
+    });
+
+    function time(value) {
+        return Date.parse(value) || 0;
+    }
+
+    // Newest first; undated tiles (pending, never deployed) last
+    const SORTS = {
+        name: (a, b) => a.dataset.name.localeCompare(b.dataset.name),
+        deployed: (a, b) => time(b.dataset.deployed) - time(a.dataset.deployed),
+        changed: (a, b) => time(b.dataset.changed) - time(a.dataset.changed)
+    };
+
+    function readState() {
+        const params = new URLSearchParams(location.search);
+        return Object.fromEntries(KEYS.map(key => [key, params.get(key) || '']));
+    }
+
+    // Replace (not push) the URL so the back button leaves the gallery instead of undoing filters
+    function writeState(state) {
+        const params = new URLSearchParams(location.search);
+        KEYS.forEach(key => (state[key] ? params.set(key, state[key]) : params.delete(key)));
+        const query = params.toString();
+        history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+    }
+
+    // "7d" → 7; anything else → null (no date filter)
+    function parseDays(value) {
+        const match = /^(\d+)d$/.exec(value);
+        return match ? Number(match[1]) : null;
+    }
+
+    function matches(tile, state, now) {
+        if (state.feature && tile.dataset.feature !== state.feature) return false;
+        if (state.status && tile.dataset.status !== state.status) return false;
+        if (state.tag && !JSON.parse(tile.dataset.tags || '[]').includes(state.tag)) return false;
+
+        const days = parseDays(state.changed);
+        if (days !== null) {
+            const changed = time(tile.dataset.changed);
+            if (!changed || now - changed > days * DAY) return false;
+        }
+        return true;
+    }
+
+    // Show values from shared links even when the page has no option for them (e.g. changed=14d)
+    function syncControls(state) {
+        for (const select of toolbar.querySelectorAll('select')) {
+            const value = state[select.name];
+            if (value && !Array.from(select.options).some(option => option.value === value)) {
+                const days = select.name === 'changed' ? parseDays(value) : null;
+                select.add(new Option(days ? `Last ${days} days` : value, value));
+            }
+            select.value = value;
+        }
+
+        const view = state.view === 'list' ? 'list' : 'grid';
+        toolbar.querySelectorAll('[data-view]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.view === view));
+        });
+        document.body.classList.toggle('view-list', view === 'list');
+    }
+
+    function apply(state) {
+        const now = Date.now();
+        const compare = SORTS[state.sort];
+        const byOrder = (a, b) => a.dataset.order - b.dataset.order;
+        const firstMatch = new Map();
+        let shown = 0;
+        let total = 0;
+
+        for (const section of sections) {
+            const grid = section.querySelector('.grid');
+            const tiles = Array.from(grid.querySelectorAll('.tile'));
+            tiles.sort((a, b) => (compare ? compare(a, b) : 0) || byOrder(a, b));
+            tiles.forEach(tile => {
+                tile.hidden = !matches(tile, state, now);
+                grid.appendChild(tile);
+            });
+
+            const visible = tiles.filter(tile => !tile.hidden);
+            section.hidden = visible.length === 0;
+            firstMatch.set(section, visible[0]);
+            shown += visible.length;
+            total += tiles.length;
+        }
+
+        // Features follow their first visible tile; sorted by name they go alphabetically
+        const bySection = state.sort === 'name'
+            ? (a, b) => a.dataset.title.localeCompare(b.dataset.title)
+            : (a, b) => (compare && !a.hidden && !b.hidden ? compare(firstMatch.get(a), firstMatch.get(b)) : 0);
+        sections.slice()
+            .sort((a, b) => (a.hidden - b.hidden) || bySection(a, b) || byOrder(a, b))
+            .forEach(section => sectionsRoot.appendChild(section));
+
+        const filtered = FILTERS.some(key => state[key]);
+        count.textContent = filtered ? `Showing ${shown} of ${total}` : `${total} prototype${total === 1 ? '' : 's'}`;
+        noMatches.hidden = shown > 0;
+        reset.hidden = !filtered;
+    }
+
+    let state = readState();
+    syncControls(state);
+    apply(state);
+
+    function update(changes) {
+        state = { ...state, ...changes };
+        syncControls(state);
+        apply(state);
+        writeState(state);
+    }
+
+    toolbar.addEventListener('change', (e) => {
+        if (e.target.name) update({ [e.target.name]: e.target.value });
+    });
+
+    toolbar.querySelectorAll('[data-view]').forEach(button => {
+        button.addEventListener('click', () => update({ view: button.dataset.view === 'list' ? 'list' : '' }));
+    });
+
+    reset.addEventListener('click', () => update(Object.fromEntries(FILTERS.map(key => [key, '']))));
+})();
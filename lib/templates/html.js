@@ -0,0 +1,60 @@
+/**
+ * HTML template helpers with auto-escaping
+ *
+ *   html`<h3>${proto.name}</h3>`   → interpolated values are escaped
+ *   html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`   → nested html and arrays are kept
+ *   raw(trustedMarkup)             → inserted as-is (CSS, bundled scripts)
+ *
+ * null, undefined and false render as nothing, so `${cond && html`...`}` works.
+ */
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Escape text for HTML content and (quoted) attribute values
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function raw(value) {
+    return new SafeHtml(String(value ?? ''));
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+// JSON that is safe inside <script>: no "</script>", "<!--" or line separators breaking out
+function jsonForScript(value) {
+    return raw(JSON.stringify(value)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029'));
+}
+
+module.exports = { html, raw, escapeHtml, jsonForScript, SafeHtml };
@@ -0,0 +1,98 @@
+/**
+ * Gallery template layer
+ * Renders a gallery view with the partials in ./partials.js, the selected built-in theme
+ * and an optional project template directory:
+ *
+ *   <templateDir>/theme.css     appended after the theme's styles
+ *   <templateDir>/partials.js   CommonJS module overriding any default partial, e.g.
+ *                               module.exports = { tile: (proto, t) => t.html`...` }
+ *
+ * All interpolated values are escaped by the html`` helper (see ./html.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { html, raw, escapeHtml, jsonForScript } = require('./html');
+const defaultPartials = require('./partials');
+const { ConfigError } = require('../errors');
+
+// Built-in themes: CSS files from ./themes applied on top of gallery.css
+const THEMES = {
+    light: [],
+    dark: ['dark.css'],
+    compact: ['compact.css']
+};
+
+// Earlier name of the light theme
+const THEME_ALIASES = { default: 'light' };
+
+const TEMPLATE_FILES = { styles: 'theme.css', partials: 'partials.js' };
+
+function readAsset(...parts) {
+    return fs.readFileSync(path.join(__dirname, ...parts), 'utf8');
+}
+
+function resolveTheme(name) {
+    const theme = THEME_ALIASES[name] || name || 'light';
+    if (!THEMES[theme]) {
+        throw new ConfigError(`Unknown gallery theme "${name}" (available: ${Object.keys(THEMES).join(', ')})`);
+    }
+    return theme;
+}
+
+// Styles and partial overrides of a project template directory
+function loadTemplateDir(templateDir) {
+    if (!fs.existsSync(templateDir) || !fs.statSync(templateDir).isDirectory()) {
+        throw new ConfigError(`Gallery template directory not found: ${templateDir}`);
+    }
+
+    const stylesPath = path.join(templateDir, TEMPLATE_FILES.styles);
+    const partialsPath = path.join(templateDir, TEMPLATE_FILES.partials);
+    let partials = {};
+    if (fs.existsSync(partialsPath)) {
+        // Re-read on every render so the preview server picks up edits
+        delete require.cache[require.resolve(partialsPath)];
+        partials = require(partialsPath);
+    }
+
+    for (const name of Object.keys(partials)) {
+        if (!(name in defaultPartials)) {
+            throw new ConfigError(`${partialsPath}: unknown partial "${name}" (available: ${Object.keys(defaultPartials).join(', ')})`);
+        }
+    }
+
+    return {
+        styles: fs.existsSync(stylesPath) ? fs.readFileSync(stylesPath, 'utf8') : '',
+        partials
+    };
+}
+
+// Render the gallery page for a view ({ project, gallery, generatedAt, feed, features }; feed: URL
+// of the gallery's Atom feed or null). options: { theme, templateDir }
+function renderTemplate(view, options = {}) {
+    const theme = resolveTheme(options.theme);
+    const custom = options.templateDir ? loadTemplateDir(options.templateDir) : { styles: '', partials: {} };
+
+    const t = {
+        html,
+        raw,
+        escapeHtml,
+        json: jsonForScript,
+        view: { ...view, gallery: { ...view.gallery, theme } },
+        styles: [
+            readAsset('gallery.css'),
+            ...THEMES[theme].map(file => readAsset('themes', file)),
+            custom.styles
+        ].join('\n'),
+        scripts: {
+            search: readAsset('client', 'search.js'),
+            palette: readAsset('client', 'palette.js'),
+            toolbar: readAsset('client', 'toolbar.js')
+        },
+        partials: { ...defaultPartials, ...custom.partials }
+    };
+
+    return String(t.partials.page(t.view, t));
+}
+
+module.exports = { renderTemplate, THEMES, THEME_ALIASES };
@@ -0,0 +1,211 @@
+/**
+ * Default gallery partials
+ * Each partial is (data, t) => html; t holds the helpers from ./html, the page view,
+ * the theme's styles and scripts, and t.partials (these defaults merged with the
+ * partials.js of a custom template directory), so overrides can reuse any of them.
+ */
+
+// Whole page
+function page(view, t) {
+    const { html, raw, partials } = t;
+
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${view.project.title}</title>
+    ${view.feed && html`<link rel="alternate" type="application/atom+xml" title="${view.project.title} updates" href="${view.feed}">`}
+    <style>
+${raw(t.styles)}
+    </style>
+</head>
+<body class="theme-${view.gallery.theme}">
+    ${partials.header(view, t)}
+    ${view.features.length === 0 ? partials.emptyState(view, t) : partials.toolbar(view, t)}
+    <div id="feature-sections">
+        ${view.features.map(feature => partials.featureSection(feature, t))}
+    </div>
+    ${view.gallery.enableSearch && partials.palette(view, t)}
+    <script>
+${raw(t.scripts.toolbar)}
+    </script>
+</body>
+</html>`;
+}
+
+// Title, description, contact links, sync time and search hint
+function header(view, t) {
+    const { html } = t;
+    const { project, gallery } = view;
+
+    return html`<div class="header">
+        <div>
+            <h1>${project.title}</h1>
+            ${project.description && html`<div class="subtitle">${project.description}</div>`}
+            ${(project.contactEmail || project.githubRepo || view.feed) && html`<div class="header-links">
+                ${project.contactEmail && html`<a href="mailto:${project.contactEmail}">✉ ${project.contactEmail}</a>`}
+                ${project.githubRepo && html`<a href="${project.githubRepo}">Repository</a>`}
+                ${view.feed && html`<a href="${view.feed}">Updates feed</a>`}
+            </div>`}
+        </div>
+        <div style="display: flex; gap: 10px; align-items: center;">
+            <div class="sync-status">Last sync: ${view.generatedAt.toLocaleString()}</div>
+            ${gallery.enableSearch && html`<div class="cmd-hint">
+                Press <span class="kbd">⌘</span><span class="kbd">K</span> to search
+            </div>`}
+        </div>
+    </div>`;
+}
+
+function emptyState(view, t) {
+    return t.html`<div class="empty-state">
+        <h2>No prototypes found</h2>
+        <p>Add prototypes to your prototypes directory and sync again.</p>
+    </div>`;
+}
+
+// Filter, sort and view controls; client/toolbar.js applies them and keeps them in the URL
+function toolbar(view, t) {
+    const { html } = t;
+    const prototypes = view.features.flatMap(feature => feature.prototypes);
+    const unique = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    const statuses = unique(prototypes.map(proto => proto.status));
+    const tags = unique(prototypes.flatMap(proto => proto.tags));
+    const select = (name, label, options) => html`<label class="toolbar-field">${label}
+            <select name="${name}">${options.map(([value, text]) => html`<option value="${value}">${text}</option>`)}</select>
+        </label>`;
+
+    return html`<form class="toolbar" id="galleryToolbar" onsubmit="return false;">
+        ${select('feature', 'Feature', [['', 'All features'], ...view.features.map(feature => [feature.name, feature.title])])}
+        ${statuses.length > 0 && select('status', 'Status', [['', 'Any status'], ...statuses.map(status => [status, status])])}
+        ${tags.length > 0 && select('tag', 'Tag', [['', 'Any tag'], ...tags.map(tag => [tag, tag])])}
+        ${select('changed', 'Changed', [['', 'Any time'], ['1d', 'Last 24 hours'], ['7d', 'Last 7 days'], ['30d', 'Last 30 days']])}
+        ${select('sort', 'Sort', [['', 'Gallery order'], ['name', 'Name'], ['deployed', 'Last deployed'], ['changed', 'Recently changed']])}
+        <div class="view-toggle" role="group" aria-label="Layout">
+            <button type="button" data-view="grid">Grid</button>
+            <button type="button" data-view="list">List</button>
+        </div>
+        <span class="toolbar-count" id="galleryCount"></span>
+        <button type="button" class="toolbar-reset" id="galleryReset" hidden>Clear filters</button>
+    </form>
+    <div class="empty-state" id="noMatches" hidden>
+        <h2>No prototypes match these filters</h2>
+    </div>`;
+}
+
+// One feature: its title and a grid of tiles
+function featureSection(feature, t) {
+    const { html, partials } = t;
+
+    return html`
+            <div class="feature-section" data-feature="${feature.name}" data-title="${feature.title}">
+                <h2 class="feature-title">${feature.title}</h2>
+                <div class="grid">
+                    ${feature.prototypes.map(proto => partials.tile(proto, t))}
+                </div>
+            </div>`;
+}
+
+// A prototype tile; pending (not yet deployed) tiles are not clickable, locked ones get a lock badge
+function tile(proto, t) {
+    const { html, partials } = t;
+    const deployTime = t.view.gallery.showDeploymentDates && proto.deployedAt
+        ? new Date(proto.deployedAt).toLocaleDateString()
+        : '';
+    const meta = [proto.owner, proto.created && `Created ${new Date(proto.created).toLocaleDateString()}`].filter(Boolean);
+
+    return html`
+                        <div class="tile${proto.pending ? ' pending' : ''}"
+                            data-feature="${proto.feature}" data-name="${proto.name}" data-status="${proto.status || ''}"
+                            data-tags="${JSON.stringify(proto.tags)}" data-deployed="${proto.deployedAt || ''}" data-changed="${proto.changedAt || ''}">
+                            <a href="${proto.url}" class="tile-link" data-slug="${proto.slug}"${proto.pending ? html` onclick="return false;"` : ''}>
+                                ${proto.locked && html`<span class="lock-badge" title="Password protected">🔒</span>`}
+                                ${proto.thumbnail && html`<img class="thumbnail" src="${proto.thumbnail}" alt="" loading="lazy">`}
+                                ${deployTime && html`<div class="deployment-time">${deployTime}</div>`}
+                                <h3>${proto.name}</h3>
+                                <p>${proto.description}</p>
+                                ${proto.tags.length > 0 && html`<div class="tags">${proto.tags.map(tag => html`<span class="tag">${tag}</span>`)}</div>`}
+                                ${meta.length > 0 && html`<div class="tile-meta">${meta.join(' · ')}</div>`}
+                                <div class="status">${proto.pending ? '⏳ Pending deployment' : '✓ Deployed'}${proto.status && html`<span class="status-badge">${proto.status}</span>`}${partials.commentCount(proto, t)}</div>
+                            </a>
+                            ${partials.screenList(proto, t)}
+                            ${partials.versionSwitcher(proto, t)}
+                        </div>`;
+}
+
+// Number of feedback comments (only when feedback is enabled, so comments is a number)
+function commentCount(proto, t) {
+    if (typeof proto.comments !== 'number') return '';
+
+    const label = `${proto.comments} comment${proto.comments === 1 ? '' : 's'}`;
+    return t.html`<span class="comment-count${proto.comments === 0 ? ' none' : ''}" title="${label}">💬 ${proto.comments}</span>`;
+}
+
+// Collapsible list of the screens of a flow (more than one page), each linking straight to it
+function screenList(proto, t) {
+    const { html } = t;
+    if (proto.screens.length < 2) return '';
+
+    return html`<details class="screen-list">
+                                <summary>${proto.screens.length} screens</summary>
+                                <ol>${proto.screens.map(screen => html`<li>${screen.url ? html`<a href="${screen.url}">${screen.title}</a>` : screen.title}</li>`)}</ol>
+                            </details>`;
+}
+
+// Version dropdown for tiles with more than one deployment (newest first, active selected)
+function versionSwitcher(proto, t) {
+    const { html } = t;
+    if (proto.versions.length < 2) return '';
+
+    return html`<label class="version-switcher">Version
+                                <select onchange="location.href = this.value">${proto.versions.map(v => {
+                                    const label = [
+                                        `v${v.version}`,
+                                        v.timestamp && new Date(v.timestamp).toLocaleDateString(),
+                                        v.note
+                                    ].filter(Boolean).join(' · ');
+                                    return html`<option value="${v.url}"${v.active ? html` selected` : ''}>${label}${v.active ? ' (current)' : ''}</option>`;
+                                })}</select>
+                            </label>`;
+}
+
+// ⌘K command palette markup, its data (including the search index) and scripts
+function palette(view, t) {
+    const { html, raw, json } = t;
+    const data = {
+        features: view.features.map(feature => ({
+            name: feature.name,
+            prototypes: feature.prototypes.map(({ name, slug, description, tags, owner, status, locked, url, thumbnail, screens, headings, text }) => ({
+                name, slug, description, tags, owner, status, locked, url, thumbnail, headings, text,
+                screens: screens.length > 1 ? screens.map(({ title, url }) => ({ title, url })) : []
+            }))
+        }))
+    };
+
+    return html`<!-- Command Palette -->
+    <div class="cmd-palette" id="cmdPalette">
+        <div class="cmd-modal">
+            <div class="cmd-input-wrapper">
+                <input
+                    type="text"
+                    class="cmd-input"
+                    id="cmdInput"
+                    placeholder="Search prototypes..."
+                    autocomplete="off"
+                >
+            </div>
+            <div class="cmd-results" id="cmdResults">
+                <!-- Results will be inserted here -->
+            </div>
+        </div>
+    </div>
+
+    <script type="application/json" id="gallery-data">${json(data)}</script>
+    <script>
+${raw(t.scripts.search)}
+${raw(t.scripts.palette)}
+    </script>`;
+}
+
+module.exports = { page, header, emptyState, toolbar, featureSection, tile, commentCount, screenList, versionSwitcher, palette };
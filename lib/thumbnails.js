@@ -0,0 +1,124 @@
+/**
+ * Gallery thumbnails
+ * Uses an author-supplied thumbnail.png when a prototype has one, otherwise renders
+ * index.html with a locally installed headless Chrome/Chromium (if any).
+ */
+
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const execFileAsync = promisify(execFile);
+
+const AUTHOR_THUMBNAIL = 'thumbnail.png';
+const THUMBNAILS_DIR = 'thumbnails';
+
+const BROWSER_NAMES = [
+    'google-chrome',
+    'google-chrome-stable',
+    'chromium',
+    'chromium-browser',
+    'microsoft-edge'
+];
+
+const BROWSER_PATHS = [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    '/Applications/Microsoft Edge.app/Contents/MacOS/Microsoft Edge'
+];
+
+async function isExecutable(file) {
+    try {
+        await fs.access(file, constants.X_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Find a headless-capable browser: explicit path, then PATH, then the usual macOS locations
+async function findBrowser(browserPath) {
+    if (browserPath) {
+        return (await isExecutable(browserPath)) ? browserPath : null;
+    }
+
+    const pathDirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    for (const name of BROWSER_NAMES) {
+        for (const dir of pathDirs) {
+            const candidate = path.join(dir, name);
+            if (await isExecutable(candidate)) {
+                return candidate;
+            }
+        }
+    }
+
+    for (const candidate of BROWSER_PATHS) {
+        if (await isExecutable(candidate)) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+// Render an HTML file to a PNG screenshot
+async function captureScreenshot(browser, htmlPath, outputPath, options = {}) {
+    const width = options.width || 1280;
+    const height = options.height || 800;
+    const args = [
+        '--headless',
+        '--disable-gpu',
+        '--hide-scrollbars',
+        '--virtual-time-budget=2000',
+        `--window-size=${width},${height}`,
+        `--screenshot=${path.resolve(outputPath)}`,
+        pathToFileURL(path.resolve(htmlPath)).href
+    ];
+
+    // Chrome refuses to sandbox when running as root (e.g. in CI containers)
+    if (process.getuid && process.getuid() === 0) {
+        args.unshift('--no-sandbox');
+    }
+
+    await execFileAsync(browser, args, { timeout: options.timeout || 30000 });
+    await fs.access(outputPath);
+}
+
+// Create or reuse the thumbnail of one prototype inside galleryDir/thumbnails
+// previous: { thumbnail, thumbnailDigest } from the deployment cache
+// Returns { thumbnail, thumbnailDigest, source } or null when there is none
+async function updateThumbnail(prototype, digest, previous, options) {
+    const relativePath = `${THUMBNAILS_DIR}/${prototype.slug}.png`;
+    const outputPath = path.join(options.galleryDir, relativePath);
+    await fs.mkdir(path.dirname(outputPath), { recursive: true });
+
+    // Author-supplied thumbnail always wins
+    const authorThumbnail = path.join(prototype.path, AUTHOR_THUMBNAIL);
+    try {
+        await fs.copyFile(authorThumbnail, outputPath);
+        return { thumbnail: relativePath, thumbnailDigest: digest, source: 'author' };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    // Unchanged since the last screenshot
+    if (previous && previous.thumbnail === relativePath && previous.thumbnailDigest === digest) {
+        try {
+            await fs.access(outputPath);
+            return { thumbnail: relativePath, thumbnailDigest: digest, source: 'cached' };
+        } catch {
+            // Thumbnail file is gone, render it again
+        }
+    }
+
+    if (!options.browser) {
+        return null;
+    }
+
+    await captureScreenshot(options.browser, path.join(prototype.path, 'index.html'), outputPath, options);
+    return { thumbnail: relativePath, thumbnailDigest: digest, source: 'rendered' };
+}
+
+module.exports = { findBrowser, captureScreenshot, updateThumbnail, AUTHOR_THUMBNAIL, THUMBNAILS_DIR };
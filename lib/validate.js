@@ -0,0 +1,256 @@
+/**
+ * Prototype validation
+ * Checks a prototype folder before it is deployed and reports problems per file and line:
+ *
+ *   warning  missing-index       folder without index.html (not a prototype, or one that is not deployed)
+ *   error    missing-screen      page listed in "screens" (prototype.json or meta tag) that does not exist
+ *   error    broken-link         relative src/href/url() that points at a missing file
+ *   error    outside-prototype   relative path leaving the prototype folder (not deployed with it)
+ *   error    file-url            absolute file:// path, only works on the author's machine
+ *   warning  missing-title       page without <title> (the gallery falls back to the file name)
+ *   warning  missing-viewport    page without <meta name="viewport"> (broken on phones)
+ *   warning  large-image         image above validation.maxImageSize KB
+ *
+ * A report is a plain object, printed as text or as JSON for tooling (like lib/plan.js):
+ *   { command: 'validate', prototypes: [{ slug, name, path, issues: [{ severity, rule, file, line, message }] }] }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { formatTable } = require('./table');
+const { readPrototypeMetadata, MANIFEST_FILE } = require('./metadata');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.bmp', '.svg'];
+
+// Tags whose src/href/poster/data/srcset attributes load or link a file
+const TAG_PATTERN = /<(a|area|img|script|link|source|video|audio|iframe|embed|object|track|input)\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /\s(src|href|poster|data|srcset)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+))/gi;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)\s]*))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/gi;
+
+// Schemes, protocol-relative URLs, anchors and template placeholders are not checked
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/|#|\?)/i;
+const PLACEHOLDER_PATTERN = /\{\{|\$\{|<%/;
+
+function issue(severity, rule, file, line, message) {
+    return { severity, rule, file, line, message };
+}
+
+// Replace a match with spaces, keeping line breaks so line numbers stay right
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+// HTML without comments and inline script bodies, whose contents aren't references
+function stripInactive(html) {
+    return html
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi, (match, open, body, close) => open + blank(body) + close);
+}
+
+// (index) => line number in text
+function lineCounter(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) starts.push(i + 1);
+    }
+
+    return (index) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (starts[middle] <= index) low = middle; else high = middle - 1;
+        }
+        return low + 1;
+    };
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Files below dir, relative to it with forward slashes
+async function listFiles(dir, excludeDirs, prefix = '') {
+    const files = [];
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        if (excludeDirs.includes(entry.name)) continue;
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listFiles(dir, excludeDirs, relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+    return files;
+}
+
+// References (src, href, url(), ...) of an HTML or CSS file: [{ value, index }]
+function findReferences(content, isHtml) {
+    const references = [];
+    const text = isHtml ? stripInactive(content) : content.replace(/\/\*[\s\S]*?\*\//g, blank);
+
+    if (isHtml) {
+        let tag;
+        while ((tag = TAG_PATTERN.exec(text))) {
+            let attribute;
+            ATTRIBUTE_PATTERN.lastIndex = 0;
+            while ((attribute = ATTRIBUTE_PATTERN.exec(tag[0]))) {
+                const value = attribute[2] ?? attribute[3] ?? attribute[4];
+                const index = tag.index + attribute.index + 1;
+                if (attribute[1].toLowerCase() === 'srcset') {
+                    value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+                        .forEach(candidate => references.push({ value: candidate, index }));
+                } else {
+                    references.push({ value, index });
+                }
+            }
+        }
+    }
+
+    // url() in CSS files, <style> blocks and style attributes
+    let match;
+    while ((match = CSS_URL_PATTERN.exec(text))) {
+        references.push({ value: match.slice(1).find(value => value !== undefined), index: match.index });
+    }
+
+    return references;
+}
+
+// Check one reference of a file; returns an issue or null
+async function checkReference(value, file, line, dir) {
+    const reference = value.trim();
+    if (!reference || PLACEHOLDER_PATTERN.test(reference)) return null;
+
+    if (/^file:/i.test(reference)) {
+        return issue('error', 'file-url', file, line, `"${reference}" is a file:// path that only exists on your machine; use a relative path`);
+    }
+    if (EXTERNAL_PATTERN.test(reference)) return null;
+
+    let target = reference.split(/[?#]/)[0];
+    try {
+        target = decodeURIComponent(target);
+    } catch {
+        // Keep malformed escapes as they are
+    }
+
+    // Root-relative paths resolve against the prototype folder, which is deployed as a site root
+    const resolved = target.startsWith('/')
+        ? path.join(dir, target)
+        : path.resolve(dir, path.dirname(file), target);
+    const relative = path.relative(dir, resolved);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return issue('error', 'outside-prototype', file, line, `"${reference}" points outside the prototype folder, which is not deployed with it`);
+    }
+
+    try {
+        const stat = await fs.stat(resolved);
+        if (stat.isDirectory()) {
+            await fs.access(path.join(resolved, 'index.html'));
+        }
+        return null;
+    } catch {
+        return issue('error', 'broken-link', file, line, `"${reference}" not found`);
+    }
+}
+
+// Problems of one prototype folder, sorted by file and line
+// options.excludeDirs    names that are not deployed and not checked
+// options.maxImageSize   KB above which images get a warning (0: no limit)
+// options.requireIndex   report a missing index.html (default true; deploy.sh checks a whole tree)
+async function validatePrototype(dir, options = {}) {
+    const { excludeDirs = [], maxImageSize = 0, requireIndex = true } = options;
+    const issues = [];
+    const files = await listFiles(dir, excludeDirs);
+
+    if (requireIndex && !files.includes('index.html')) {
+        issues.push(issue('warning', 'missing-index', 'index.html', null, 'no index.html, so the folder is not deployed'));
+    }
+
+    const { metadata } = await readPrototypeMetadata(dir);
+    for (const screen of metadata.screens || []) {
+        const file = typeof screen === 'string' ? screen : screen.file;
+        if (!files.includes(file.split(/[\\/]/).join('/'))) {
+            issues.push(issue('error', 'missing-screen', files.includes(MANIFEST_FILE) ? MANIFEST_FILE : 'index.html', null, `"screens" lists ${file}, which does not exist`));
+        }
+    }
+
+    for (const file of files) {
+        const extension = path.extname(file).toLowerCase();
+        const filePath = path.join(dir, file);
+
+        if (IMAGE_EXTENSIONS.includes(extension) && maxImageSize > 0) {
+            const { size } = await fs.stat(filePath);
+            if (size > maxImageSize * 1024) {
+                issues.push(issue('warning', 'large-image', file, null, `image is ${formatSize(size)} (limit ${formatSize(maxImageSize * 1024)}); compress or resize it`));
+            }
+        }
+
+        const isHtml = extension === '.html' || extension === '.htm';
+        if (!isHtml && extension !== '.css') continue;
+
+        const content = await fs.readFile(filePath, 'utf8');
+        if (isHtml) {
+            if (!/<title\b[^>]*>\s*[^<\s][\s\S]*?<\/title>/i.test(content)) {
+                issues.push(issue('warning', 'missing-title', file, null, 'no <title>; the gallery falls back to the file name'));
+            }
+            if (!/<meta\b[^>]*name\s*=\s*["']?viewport/i.test(content)) {
+                issues.push(issue('warning', 'missing-viewport', file, null, 'no <meta name="viewport">; the page will be zoomed out on phones'));
+            }
+        }
+
+        const lineAt = lineCounter(content);
+        for (const { value, index } of findReferences(content, isHtml)) {
+            const problem = await checkReference(value, file, lineAt(index), dir);
+            if (problem) issues.push(problem);
+        }
+    }
+
+    return issues.sort((a, b) => a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0));
+}
+
+// Errors, warnings and prototypes with errors of a report
+function summarizeReport(report) {
+    const all = report.prototypes.flatMap(prototype => prototype.issues);
+    return {
+        prototypes: report.prototypes.length,
+        failed: report.prototypes.filter(prototype => prototype.issues.some(item => item.severity === 'error')).length,
+        errors: all.filter(item => item.severity === 'error').length,
+        warnings: all.filter(item => item.severity === 'warning').length
+    };
+}
+
+// Human-readable report: one table per file with problems, then a one-line summary
+function formatReport(report) {
+    const lines = [];
+    const summary = summarizeReport(report);
+
+    for (const prototype of report.prototypes) {
+        const files = [...new Set(prototype.issues.map(item => item.file))];
+        for (const file of files) {
+            lines.push(path.join(prototype.path, file));
+            lines.push(...formatTable(
+                ['Line', 'Severity', 'Problem', 'Rule'],
+                prototype.issues
+                    .filter(item => item.file === file)
+                    .map(item => [item.line ?? '-', item.severity, item.message, item.rule])
+            ));
+            lines.push('');
+        }
+    }
+
+    const counts = `${summary.errors} error(s), ${summary.warnings} warning(s)`;
+    lines.push(summary.errors + summary.warnings === 0
+        ? `${summary.prototypes} prototype(s) checked, no problems found`
+        : `${counts} in ${summary.prototypes} prototype(s) checked`);
+    return lines.join('\n');
+}
+
+function printReport(report, { json = false } = {}) {
+    if (json) {
+        console.log(JSON.stringify({ ...report, summary: summarizeReport(report) }, null, 2));
+    } else {
+        console.log(formatReport(report));
+    }
+}
+
+module.exports = { validatePrototype, summarizeReport, formatReport, printReport };
@@ -0,0 +1,78 @@
+// Password gate, the page deployed in place of every page of a password-protected prototype
+// (lib/visibility). The original page is AES-GCM encrypted with a key derived from the password
+// (PBKDF2-SHA256); entering the password derives the key again and replaces the gate with the
+// decrypted page. The key is kept in sessionStorage, so the other pages of the prototype open
+// without asking again until the tab is closed.
+(function () {
+    const data = JSON.parse(document.getElementById('prototype-gate-data').textContent);
+    const storageKey = `prototype-gate:${data.salt}`;
+    const form = document.querySelector('form');
+    const input = form.querySelector('input');
+    const error = document.querySelector('.error');
+
+    function decode(base64) {
+        return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    }
+
+    function encode(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    async function deriveKey(password) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: decode(data.salt), iterations: data.iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    // Replace the gate with the decrypted page; rejects when the key is wrong
+    async function unlock(rawKey) {
+        const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+        const page = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: decode(data.iv) }, key, decode(data.content));
+        try {
+            sessionStorage.setItem(storageKey, encode(rawKey));
+        } catch {
+            // Storage disabled: ask again on the next page
+        }
+        document.open();
+        document.write(new TextDecoder().decode(page));
+        document.close();
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        error.hidden = true;
+        form.classList.add('busy');
+        try {
+            await unlock(await deriveKey(input.value));
+        } catch {
+            form.classList.remove('busy');
+            error.hidden = false;
+            input.select();
+        }
+    });
+
+    let saved = null;
+    try {
+        saved = sessionStorage.getItem(storageKey);
+    } catch {
+        // Storage disabled
+    }
+
+    if (!window.crypto || !crypto.subtle) {
+        error.textContent = 'This browser cannot open password-protected pages (open it over https).';
+        error.hidden = false;
+        input.disabled = true;
+    } else if (saved) {
+        // A key saved for an earlier password fails to decrypt; ask for the new one
+        unlock(decode(saved)).catch(() => {
+            sessionStorage.removeItem(storageKey);
+            input.focus();
+        });
+    } else {
+        input.focus();
+    }
+})();
@@ -0,0 +1,152 @@
+/**
+ * Prototype visibility
+ * Set per prototype with "visibility" in prototype.json (default: visibility.default):
+ *
+ *   public     listed in the gallery, palette and navigation bars
+ *   unlisted   deployed, but left out of the gallery, palette and navigation bars
+ *              (what "hidden": true did before, which still works)
+ *   password   listed with a lock badge; every page is deployed encrypted behind ./gate.js
+ *
+ * Passwords are set with the CLI (cd prototype-manager && npm run password <prototype>) and
+ * stored in visibility.passwordsFile as { salt, iterations, key }: the PBKDF2 key the pages are
+ * encrypted with, not the password. Deploying only needs the key, the password itself is not
+ * stored anywhere. The file can be committed; whoever can read it can read the prototype
+ * sources anyway.
+ *
+ * Only pages are encrypted. Images, styles and scripts of the prototype stay readable for
+ * anyone who knows their URL.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeHtml, jsonForScript } = require('../templates/html');
+const { ConfigError, PasswordError } = require('../errors');
+
+const GATE_SOURCE = require('fs').readFileSync(path.join(__dirname, 'gate.js'), 'utf8');
+
+const VISIBILITIES = ['public', 'unlisted', 'password'];
+
+// PBKDF2 rounds for new passwords; stored with each key, so raising it keeps old keys working
+const ITERATIONS = 210000;
+
+// Visibility of a prototype from its metadata; "hidden": true is the older way to say unlisted
+function getVisibility(metadata = {}, fallback = 'public') {
+    if (metadata.visibility) return metadata.visibility;
+    if (metadata.hidden) return 'unlisted';
+    return fallback;
+}
+
+// Key a prototype's password is stored under: its folder relative to prototypesDir ("checkout/cart")
+function getPasswordId(prototypesDir, prototypeDir) {
+    return path.relative(prototypesDir, prototypeDir).split(path.sep).join('/');
+}
+
+// { id: { salt, iterations, key, updatedAt } } from the passwords file ({} when there is none)
+async function loadPasswords(file) {
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(`${file}: invalid JSON: ${error.message}`, { cause: error });
+    }
+}
+
+async function savePasswords(file, passwords) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(passwords, null, 2) + '\n');
+}
+
+// Derive the key for a new password (a fresh salt every time, so changing it redeploys)
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = crypto.pbkdf2Sync(password, salt, ITERATIONS, 32, 'sha256');
+    return { salt: salt.toString('base64'), iterations: ITERATIONS, key: key.toString('base64') };
+}
+
+// Set (password) or remove (null) the password of a prototype
+async function setPassword(file, id, password) {
+    const passwords = await loadPasswords(file);
+    if (password === null) {
+        delete passwords[id];
+    } else {
+        passwords[id] = { ...hashPassword(password), updatedAt: new Date().toISOString() };
+    }
+    await savePasswords(file, passwords);
+}
+
+// The gate page standing in for an HTML document encrypted with credential ({ salt, iterations, key })
+function renderGate(html, credential, { title = 'Prototype' } = {}) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(credential.key, 'base64'), iv);
+    // WebCrypto expects the authentication tag at the end of the ciphertext
+    const content = Buffer.concat([cipher.update(html, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+    const data = { salt: credential.salt, iterations: credential.iterations, iv: iv.toString('base64'), content: content.toString('base64') };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)} · Password required</title>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #f5f5f7;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; }
+        form { width: 320px; padding: 32px; border-radius: 12px; background: #fff; box-shadow: 0 8px 30px rgba(0,0,0,0.08); text-align: center; }
+        h1 { margin: 0 0 4px; font-size: 18px; }
+        p { margin: 0 0 20px; color: #888; font-size: 14px; }
+        input, button { box-sizing: border-box; width: 100%; padding: 10px 12px; border-radius: 8px; font: inherit; font-size: 15px; }
+        input { border: 1px solid #ddd; margin-bottom: 10px; }
+        button { border: 0; background: #333; color: #fff; cursor: pointer; }
+        form.busy button { opacity: 0.6; }
+        .error { margin: 12px 0 0; color: #c0392b; }
+        [hidden] { display: none; }
+    </style>
+</head>
+<body>
+    <form>
+        <h1>🔒 ${escapeHtml(title)}</h1>
+        <p>This prototype is password protected.</p>
+        <input type="password" autocomplete="current-password" placeholder="Password" aria-label="Password" required>
+        <button type="submit">Open</button>
+        <p class="error" hidden>Wrong password</p>
+    </form>
+    <script type="application/json" id="prototype-gate-data">${jsonForScript(data)}</script>
+    <script>
+${GATE_SOURCE}</script>
+</body>
+</html>
+`;
+}
+
+// Page transform for lib/deploy-dir.js: every page replaced by its gate. Runs last, so the
+// scripts injected before it are encrypted with the page. null without a credential.
+function gateTransform(credential, options = {}) {
+    if (!credential) return null;
+    return (html) => renderGate(html, credential, options);
+}
+
+// Error for a password-protected prototype without a password
+function missingPasswordError(name, id) {
+    return new PasswordError(`${name} has visibility "password" but no password is set; set one with: cd prototype-manager && npm run password ${id}`);
+}
+
+module.exports = {
+    getVisibility,
+    getPasswordId,
+    loadPasswords,
+    setPassword,
+    hashPassword,
+    renderGate,
+    gateTransform,
+    missingPasswordError,
+    VISIBILITIES
+};
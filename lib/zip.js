@@ -0,0 +1,118 @@
+/**
+ * Zip archives
+ * A minimal zip writer (deflate, no zip64) for `export --zip`, so exporting doesn't depend on
+ * a zip binary or an npm package. Archives are built in memory, which is fine for prototypes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time of a file in MS-DOS format (2-second resolution, local time)
+function dosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Zip archive of entries: [{ name: 'folder/file.html', data: Buffer, modified: Date }]
+function createZip(entries) {
+    const files = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const deflated = zlib.deflateRawSync(entry.data);
+        // Store files deflate doesn't make smaller (images, fonts)
+        const stored = deflated.length >= entry.data.length;
+        const data = stored ? entry.data : deflated;
+        const { time, date } = dosDateTime(entry.modified || new Date());
+        const crc = crc32(entry.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);            // version needed
+        local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);          // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(stored ? 0 : 8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(entry.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        files.push(local, name, data);
+        directory.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const size = directory.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(size, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...files, ...directory, end]);
+}
+
+// Entries for every file below dir, named prefix/<relative path>
+async function readEntries(dir, prefix = '') {
+    const entries = [];
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            entries.push(...await readEntries(entryPath, name));
+        } else if (entry.isFile()) {
+            const [data, stat] = await Promise.all([fs.readFile(entryPath), fs.stat(entryPath)]);
+            entries.push({ name, data, modified: stat.mtime });
+        }
+    }
+    return entries;
+}
+
+// Write dir as a zip archive to output, its files inside a top-level folder named prefix.
+// Resolves with the number of files written.
+async function zipDirectory(dir, output, { prefix = '' } = {}) {
+    const entries = await readEntries(dir, prefix);
+    await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+    await fs.writeFile(output, createZip(entries));
+    return entries.length;
+}
+
+module.exports = { createZip, zipDirectory, crc32 };
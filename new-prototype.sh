@@ -2,6 +2,7 @@
 
 # Simplified version of new-prototype-in-folder.sh for easier use
 # Usage: ./new-prototype.sh <feature-folder> <prototype-name>
+# For templates, metadata and name checks use: cd prototype-manager && npm run new
 
 if [ -z "$1" ] || [ -z "$2" ]; then
     echo "Create a new prototype"
@@ -91,7 +92,7 @@ cat > "$PROTO_DIR/index.html" << 'EOF'
     </style>
 </head>
 <body>
-    <a href="#" class="back-button">← Back to Gallery <span style="opacity: 0.6; font-size: 12px;">(Esc)</span></a>
+    <a href="#" class="back-button" data-gallery-link>← Back to Gallery <span style="opacity: 0.6; font-size: 12px;">(Esc)</span></a>
     <div class="container">
         <h1>New Prototype</h1>
         <p>Start building your prototype here.</p>
@@ -99,10 +100,10 @@ cat > "$PROTO_DIR/index.html" << 'EOF'
     
     <!-- Esc key navigation to gallery -->
     <script>
-        // Esc key navigation
+        // Locally Esc goes back. Deployed pages get the gallery navigation bar, which points
+        // the link above at the gallery and handles Esc itself.
         document.addEventListener('keydown', function(e) {
             if (e.key === 'Escape') {
-                // URL will be updated after deployment
                 window.history.back();
             }
         });
@@ -116,7 +117,6 @@ SAFE_NAME=$(echo "proto-$FEATURE-$NAME" | tr '[:upper:]' '[:lower:]' | sed 's/[^
 cat > "$PROTO_DIR/vercel.json" << EOF
 {
   "name": "$SAFE_NAME",
-  "public": true,
   "builds": [],
   "routes": []
 }
@@ -126,6 +126,7 @@ echo "✅ Created new prototype: $PROTO_DIR"
 echo ""
 echo "Next steps:"
 echo "1. Edit your prototype: $PROTO_DIR/index.html"
-echo "2. Deploy: npm run deploy-prototypes"
+echo "2. Preview it with live reload: npm run serve"
+echo "3. Deploy: npm run deploy-prototypes"
 echo ""
 echo "Tip: Your prototype will be organized under '$FEATURE' in the gallery"
\ No newline at end of file
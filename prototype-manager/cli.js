@@ -1,134 +1,177 @@
 #!/usr/bin/env node
 
-import { execSync, spawn } from 'child_process';
+import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { glob } from 'glob';
+import { createGallery } from '../index.js';
+import { stripConfigFlags } from '../lib/config.js';
+import { createConsoleLogger } from '../lib/logger.js';
+import { printPlan } from '../lib/plan.js';
+import { summarizeReport, printReport } from '../lib/validate.js';
+import { loadPasswords } from '../lib/visibility/index.js';
+import { listTemplates, createPrototype, getVariables, formatTitle, validateSlug } from '../lib/scaffold/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const rootDir = path.dirname(__dirname);
-const prototypesDir = path.join(rootDir, 'prototypes');
 const configPath = path.join(__dirname, 'config.json');
 
-// Load or create config
-let config = {
-  prototypesPath: '../prototypes',
-  deployments: {},
-  defaultSettings: {
-    public: true,
-    framework: null
-  }
+const [command, ...positionals] = stripConfigFlags(process.argv.slice(2));
+
+// --note <text> is stored with the deployment; --dry-run prints a plan instead (as JSON with --json);
+// --force deploys despite validation errors
+// Flags followed by a value
+const VALUE_FLAGS = ['--note', '--export', '--output', '--template'];
+const getFlagValue = (name) => {
+  const index = positionals.indexOf(name);
+  return index === -1 ? undefined : positionals[index + 1];
 };
+const isFlagValue = (index) => VALUE_FLAGS.includes(positionals[index - 1]);
+const note = getFlagValue('--note');
+const flags = positionals.filter((arg, index) => arg.startsWith('--') && !VALUE_FLAGS.includes(arg) && !isFlagValue(index));
+const args = positionals.filter((arg, index) => !arg.startsWith('--') && !isFlagValue(index));
+const json = flags.includes('--json');
+const force = flags.includes('--force');
 
+// config.json: settings of older versions of this CLI (defaultSettings)
+let config = {};
 if (fs.existsSync(configPath)) {
   config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 }
 
-function saveConfig() {
-  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+// The commands run on the Node API (index.js) with the shared gallery settings: gallery.config.json
+// in the repository root, env vars and CLI flags. Deployments go to the gallery's deployment cache,
+// so sync-prototypes.js and the gallery see them. Log lines go to stderr while stdout carries JSON.
+function openGallery(settings) {
+  return createGallery({ cwd: rootDir, argv: process.argv.slice(2), logger: createConsoleLogger({ stderr: json, colors: chalk.level > 0 }), settings });
 }
 
-// Get list of available prototypes (including subfolders)
-function getPrototypes() {
-  if (!fs.existsSync(prototypesDir)) {
-    return [];
+let gallery;
+try {
+  gallery = openGallery();
+  // Prototypes without a visibility in prototype.json are "unlisted" when an older config.json
+  // turned defaultSettings.public off
+  if (gallery.config.visibility.default === 'public' && config.defaultSettings?.public === false) {
+    gallery = openGallery({ visibility: { default: 'unlisted' } });
+  }
+} catch (error) {
+  console.error(chalk.red(error.message));
+  process.exit(1);
+}
+const prototypesDir = gallery.config.prototypesDir;
+
+// Move deployments that older versions recorded in config.json (by folder, "checkout/cart") into
+// the deployment cache (by slug), unless the cache already has the prototype
+function migrateDeployments() {
+  if (!config.deployments) {
+    return;
   }
   
-  const prototypes = [];
-  
-  // Function to recursively find prototypes
-  function findPrototypes(dir, prefix = '') {
-    const items = fs.readdirSync(dir);
-    
-    for (const item of items) {
-      const itemPath = path.join(dir, item);
-      const stat = fs.statSync(itemPath);
-      
-      if (stat.isDirectory()) {
-        const indexPath = path.join(itemPath, 'index.html');
-        const vercelPath = path.join(itemPath, 'vercel.json');
-        
-        // Check if this directory is a prototype (has index.html or vercel.json)
-        if (fs.existsSync(indexPath) || fs.existsSync(vercelPath)) {
-          const name = prefix ? `${prefix}/${item}` : item;
-          prototypes.push(name);
-        } else {
-          // Recursively search subdirectories
-          const subPrefix = prefix ? `${prefix}/${item}` : item;
-          findPrototypes(itemPath, subPrefix);
-        }
-      }
+  const cacheFile = gallery.config.deploymentCache;
+  const cache = fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf-8')) : {};
+  let moved = 0;
+  for (const [folder, { deployedAt, path: _path, ...deployment }] of Object.entries(config.deployments)) {
+    const slug = path.basename(folder);
+    if (!cache[slug]) {
+      cache[slug] = { ...deployment, timestamp: deployedAt, feature: folder.split('/')[0] };
+      moved++;
     }
   }
   
-  findPrototypes(prototypesDir);
-  return prototypes;
+  if (moved > 0) {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2));
+    console.log(chalk.gray(`Moved ${moved} deployment(s) from config.json to ${path.relative(process.cwd(), cacheFile)}`));
+  }
+  delete config.deployments;
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
 }
 
-// Deploy a prototype
-async function deployPrototype(prototypeName) {
-  const prototypePath = path.join(prototypesDir, prototypeName);
-  
-  if (!fs.existsSync(prototypePath)) {
-    console.error(chalk.red(`Prototype "${prototypeName}" not found`));
-    process.exit(1);
+// Folder of a prototype below prototypesDir ("checkout/cart"), also the key of its password
+function folderOf(prototype) {
+  return path.relative(prototypesDir, prototype.path).split(path.sep).join('/');
+}
+
+// Scanned prototypes, in gallery order
+async function getPrototypes() {
+  const { prototypes } = await gallery.scan();
+  return Object.values(prototypes).flat();
+}
+
+// The prototype meant by a folder, slug or name, or undefined
+async function findPrototype(query) {
+  const q = query.toLowerCase();
+  return (await getPrototypes()).find(prototype =>
+    [folderOf(prototype), prototype.slug, prototype.name].some(value => value.toLowerCase() === q)
+  );
+}
+
+// Print an error thrown by the gallery API with its hint, and fail the command
+function fail(error) {
+  console.error(chalk.red(`\n✗ ${error.message}`));
+  (error.hint || []).forEach(line => console.log(chalk.gray(line)));
+  process.exitCode = 1;
+}
+
+// Check one or all prototypes for problems (broken links, missing <title>, large images, ...)
+async function validatePrototypes(prototypeName, { json }) {
+  const report = await gallery.validate(prototypeName);
+  printReport(report, { json });
+  if (summarizeReport(report).errors > 0) {
+    process.exitCode = 1;
   }
-  
-  console.log(chalk.blue(`\n🚀 Deploying ${prototypeName}...\n`));
-  
+}
+
+// Deploy a prototype; note is stored with the deployment in its history.
+// Validation errors stop the deployment unless options.force is set.
+async function deployPrototype(prototypeName, note, options = {}) {
   try {
-    // Run vercel deployment
-    const result = execSync('vercel --yes --prod', {
-      cwd: prototypePath,
-      encoding: 'utf-8',
-      stdio: 'pipe'
-    });
+    const { url } = await gallery.deploy(prototypeName, { note, force: options.force });
     
-    // Extract URL from output
-    const lines = result.split('\n');
-    const urlLine = lines.find(line => line.includes('https://'));
-    const url = urlLine ? urlLine.trim() : null;
+    console.log(chalk.green('\n✅ Deployment successful!'));
+    console.log(chalk.white('\n📋 Prototype URL:'));
+    console.log(chalk.cyan.bold(url));
+    console.log(chalk.gray('\n(URL copied to clipboard if pbcopy is available)'));
+    console.log(chalk.gray('The gallery shows it after the next sync: npm run deploy-prototypes (in the repository root)\n'));
     
-    if (url) {
-      // Save deployment info
-      config.deployments[prototypeName] = {
-        url: url,
-        deployedAt: new Date().toISOString(),
-        path: prototypePath
-      };
-      saveConfig();
-      
-      console.log(chalk.green('\n✅ Deployment successful!'));
-      console.log(chalk.white('\n📋 Prototype URL:'));
-      console.log(chalk.cyan.bold(url));
-      console.log(chalk.gray('\n(URL copied to clipboard if pbcopy is available)\n'));
-      
-      // Try to copy to clipboard
-      try {
-        execSync(`echo "${url}" | pbcopy`);
-      } catch {
-        // Clipboard copy failed, ignore
-      }
-    } else {
-      console.log(chalk.yellow('\nDeployment completed but URL not captured.'));
-      console.log(chalk.gray('Check the Vercel dashboard for the deployment URL.'));
+    // Try to copy to clipboard
+    try {
+      execSync(`echo "${url}" | pbcopy`);
+    } catch {
+      // Clipboard copy failed, ignore
     }
   } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') {
+      console.error(chalk.red(`\nNot deploying ${prototypeName}: fix the errors above, or deploy anyway with --force`));
+      process.exitCode = 1;
+      return;
+    }
+    if (error.code === 'NOT_FOUND') {
+      fail(error);
+      return;
+    }
+    
     console.error(chalk.red('\nDeployment failed:'), error.message);
     console.log(chalk.yellow('\nTroubleshooting:'));
-    console.log(chalk.gray('1. Make sure you have logged into Vercel: vercel login'));
-    console.log(chalk.gray('2. Check that the prototype has an index.html file'));
-    console.log(chalk.gray('3. Try deploying manually: cd prototypes/' + prototypeName + ' && vercel'));
+    if (error.hint) {
+      error.hint.forEach(line => console.log(chalk.gray(line)));
+    } else if (gallery.config.deployProvider.type === 'vercel') {
+      console.log(chalk.gray('• Make sure you have logged into Vercel: vercel login'));
+      console.log(chalk.gray('• Try deploying manually: cd prototypes/' + prototypeName + ' && vercel'));
+    }
+    console.log(chalk.gray('• Check that the prototype has an index.html file'));
+    console.log(chalk.gray(`• Check the "deployProvider" settings in ${gallery.config.configFile || 'gallery.config.json'}`));
+    process.exitCode = 1;
   }
 }
 
 // List all prototypes
-function listPrototypes() {
-  const prototypes = getPrototypes();
+async function listPrototypes() {
+  const prototypes = await getPrototypes();
   
   console.log(chalk.blue('\n📦 Available Prototypes:\n'));
   
@@ -137,44 +180,68 @@ function listPrototypes() {
     return;
   }
   
-  prototypes.forEach(name => {
-    const deployment = config.deployments[name];
-    console.log(chalk.white(`• ${name}`));
+  const deployments = await gallery.deployments();
+  const passwords = await loadPasswords(gallery.config.visibility.passwordsFile);
+  const visibilityLabels = {
+    public: () => '',
+    unlisted: () => chalk.gray(' (unlisted)'),
+    password: (folder) => (passwords[folder] ? chalk.gray(' 🔒') : chalk.yellow(' 🔒 no password set'))
+  };
+  
+  for (const prototype of prototypes) {
+    const folder = folderOf(prototype);
+    const deployment = deployments[prototype.slug];
+    console.log(chalk.white(`• ${folder} – ${prototype.name}`) + visibilityLabels[prototype.visibility](folder));
+    
+    if (prototype.description) {
+      console.log(chalk.gray(`  ${prototype.description}`));
+    }
+    if (prototype.owner || prototype.status) {
+      console.log(chalk.gray(`  ${[prototype.owner && `Owner: ${prototype.owner}`, prototype.status && `Status: ${prototype.status}`].filter(Boolean).join(' · ')}`));
+    }
+    if (prototype.tags.length) {
+      console.log(chalk.gray(`  Tags: ${prototype.tags.join(', ')}`));
+    }
     
     if (deployment) {
       console.log(chalk.gray(`  URL: ${chalk.cyan(deployment.url)}`));
-      console.log(chalk.gray(`  Deployed: ${new Date(deployment.deployedAt).toLocaleString()}`));
+      console.log(chalk.gray(`  Deployed: ${deployment.timestamp ? new Date(deployment.timestamp).toLocaleString() : 'yes'}`));
     } else {
-      console.log(chalk.gray('  Status: Not deployed'));
+      console.log(chalk.gray('  Deployed: not yet'));
     }
     console.log();
-  });
+  }
 }
 
 // Interactive deployment
-async function interactiveDeploy() {
-  const prototypes = getPrototypes();
+async function interactiveDeploy(note, options) {
+  const prototypes = await getPrototypes();
   
   if (prototypes.length === 0) {
     console.log(chalk.yellow('No prototypes found. Add HTML files to the prototypes/ directory.'));
     process.exit(0);
   }
   
+  const deployments = await gallery.deployments();
+  const choices = prototypes.map(prototype => {
+    const label = `${folderOf(prototype)} – ${prototype.name}`;
+    const deployment = deployments[prototype.slug];
+    return {
+      name: deployment ? `${label} (deployed: ${deployment.url})` : `${label} (not deployed)`,
+      value: folderOf(prototype)
+    };
+  });
+  
   const answers = await inquirer.prompt([
     {
       type: 'list',
       name: 'prototype',
       message: 'Select a prototype to deploy:',
-      choices: prototypes.map(p => ({
-        name: config.deployments[p] 
-          ? `${p} (deployed: ${config.deployments[p].url})` 
-          : `${p} (not deployed)`,
-        value: p
-      }))
+      choices
     }
   ]);
   
-  await deployPrototype(answers.prototype);
+  await deployPrototype(answers.prototype, note, options);
 }
 
 // Quick deploy command
@@ -215,62 +282,472 @@ async function quickDeploy() {
   }
 }
 
-// Get deployment URL for a prototype
-function getUrl(prototypeName) {
-  const deployment = config.deployments[prototypeName];
-  
-  if (deployment) {
-    console.log(chalk.cyan(deployment.url));
-    
-    // Copy to clipboard if available
-    try {
-      execSync(`echo "${deployment.url}" | pbcopy`);
-      console.log(chalk.gray('(Copied to clipboard)'));
-    } catch {
-      // Ignore clipboard errors
+// Get deployment URL for a prototype: the version the gallery points at
+async function getUrl(prototypeName) {
+  let url;
+  try {
+    url = (await gallery.history(prototypeName)).versions.find(version => version.active).url;
+  } catch (error) {
+    if (error.code !== 'NOT_FOUND') {
+      throw error;
     }
-  } else {
     console.log(chalk.yellow(`Prototype "${prototypeName}" has not been deployed yet.`));
     console.log(chalk.gray(`Run: npm run deploy`));
+    return;
+  }
+  
+  console.log(chalk.cyan(url));
+  
+  // Copy to clipboard if available
+  try {
+    execSync(`echo "${url}" | pbcopy`);
+    console.log(chalk.gray('(Copied to clipboard)'));
+  } catch {
+    // Ignore clipboard errors
   }
 }
 
-// Main CLI
-const command = process.argv[2];
-const args = process.argv.slice(3);
+// Show every deployment of a prototype, newest first
+async function showHistory(prototypeName) {
+  let history;
+  try {
+    history = await gallery.history(prototypeName);
+  } catch (error) {
+    if (error.code !== 'NOT_FOUND') {
+      throw error;
+    }
+    console.log(chalk.yellow(`Prototype "${prototypeName}" has not been deployed yet.`));
+    return;
+  }
+  
+  console.log(chalk.blue(`\n📜 Deployment history of ${history.name}:\n`));
+  
+  for (const version of history.versions) {
+    const marker = version.active ? chalk.green(' (current)') : '';
+    const timestamp = version.timestamp ? new Date(version.timestamp).toLocaleString() : 'unknown date';
+    console.log(chalk.white(`• v${version.version}`) + chalk.gray(` ${timestamp}`) + marker);
+    console.log(chalk.gray(`  URL: ${chalk.cyan(version.url)}`));
+    if (version.note) {
+      console.log(chalk.gray(`  Note: ${version.note}`));
+    }
+  }
+  console.log();
+}
 
-switch (command) {
-  case 'deploy':
-    if (args[0]) {
-      deployPrototype(args[0]);
-    } else {
-      interactiveDeploy();
+// Point the gallery at an earlier deployment of a prototype (default: the one before the current
+// version) and redeploy the gallery; the prototype itself is not redeployed
+async function rollbackPrototype(prototypeName, version) {
+  await gallery.checkDependencies();
+  const { galleryDeployed } = await gallery.rollback(prototypeName, version);
+  if (!galleryDeployed) {
+    process.exitCode = 1;
+  }
+}
+
+// List or export the feedback comments of a prototype
+async function showFeedback(prototypeName, { json, exportFile }) {
+  let feedback;
+  try {
+    feedback = await gallery.feedback(path.basename(prototypeName), { exportFile });
+  } catch (error) {
+    console.error(chalk.red('Could not load feedback:'), error.message);
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (exportFile) {
+    return;
+  }
+  if (json) {
+    console.log(JSON.stringify(feedback.comments, null, 2));
+    return;
+  }
+  
+  console.log(chalk.blue(`\n💬 Feedback on ${feedback.name}:\n`));
+  if (feedback.comments.length === 0) {
+    console.log(chalk.gray('No comments yet.\n'));
+    return;
+  }
+  feedback.comments.forEach((comment, index) => {
+    const meta = [new Date(comment.createdAt).toLocaleString(), comment.page].filter(Boolean).join(' · ');
+    console.log(chalk.white(`${index + 1}. ${comment.name || 'Anonymous'}`) + chalk.gray(` ${meta}`));
+    console.log(chalk.gray(`   ${comment.text.replace(/\n+/g, '\n   ')}`));
+  });
+  console.log();
+}
+
+// Remove deployments of prototypes deleted from disk from the deployment cache; with remote
+// also delete them through the deploy provider
+async function pruneDeployments({ yes, remote }) {
+  const { failed } = await gallery.prune({
+    yes,
+    remote,
+    confirm: async (message) => {
+      const { confirmed } = await inquirer.prompt([{ type: 'confirm', name: 'confirmed', message, default: false }]);
+      return confirmed;
     }
-    break;
-    
-  case 'list':
-    listPrototypes();
-    break;
-    
-  case 'quick':
-    quickDeploy();
-    break;
-    
-  case 'url':
-    if (args[0]) {
-      getUrl(args[0]);
-    } else {
-      console.log(chalk.red('Please specify a prototype name'));
-      console.log(chalk.gray('Usage: npm run url <prototype-name>'));
+  });
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// Write a prototype as one self-contained HTML file (local assets inlined) to output
+// (default: <prototype>.html in the current directory)
+async function exportPrototype(prototypeName, { singleFile, output }) {
+  if (!singleFile) {
+    console.error(chalk.red('Choose an export format: --single-file'));
+    process.exit(1);
+  }
+  
+  await gallery.exportPrototype(prototypeName, { output });
+}
+
+// What `deploy` would do for the given prototypes (all without), without deploying or writing anything
+async function planDeploy(prototypeNames, { json }) {
+  // An explicit deploy always redeploys; the reason tells whether anything changed
+  const plan = await gallery.plan({ force: true });
+  let items = plan.prototypes.filter(item => item.action !== 'exclude');
+  
+  if (prototypeNames.length > 0) {
+    const requested = [];
+    for (const name of prototypeNames) {
+      const prototype = await findPrototype(name);
+      requested.push(items.find(item => item.slug === prototype?.slug)
+        || { slug: name, name, feature: null, action: 'exclude', reason: 'not found' });
+    }
+    items = requested;
+  }
+  
+  printPlan({ command: 'deploy', prototypes: items }, { json });
+}
+
+// Set or (options.remove) remove the password of a prototype. Only the key derived from it is
+// stored, in visibility.passwordsFile; the prototype is gated when its visibility is "password".
+async function managePassword(prototypeName, { remove = false } = {}) {
+  const prototype = await findPrototype(prototypeName);
+  if (!prototype) {
+    console.error(chalk.red(`Prototype "${prototypeName}" not found`));
+    process.exit(1);
+  }
+  
+  const folder = folderOf(prototype);
+  const relativeFile = path.relative(process.cwd(), gallery.config.visibility.passwordsFile);
+  if (remove) {
+    await gallery.password(folder, null);
+    console.log(chalk.green(`\n✅ Password of ${folder} removed from ${relativeFile}\n`));
+    return;
+  }
+  
+  const { password } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: `New password for ${folder}:`,
+      mask: '*',
+      validate: (value) => value.length >= 4 || 'Use at least 4 characters'
+    },
+    {
+      type: 'password',
+      name: 'confirmation',
+      message: 'Repeat the password:',
+      mask: '*',
+      validate: (value, answers) => value === answers.password || 'The passwords do not match'
+    }
+  ]);
+  
+  const { gated } = await gallery.password(folder, password);
+  console.log(chalk.green(`\n✅ Password of ${folder} saved (hashed) to ${relativeFile}`));
+  
+  if (!gated) {
+    console.log(chalk.yellow(`Set "visibility": "password" in ${folder}/prototype.json to put it behind the password gate`));
+  }
+  console.log(chalk.gray('Deploy again to apply it: npm run deploy ' + folder + '\n'));
+}
+
+// Feature folders: top-level folders of prototypesDir that are not prototypes themselves
+function getFeatures() {
+  if (!fs.existsSync(prototypesDir)) {
+    return [];
+  }
+  return fs.readdirSync(prototypesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !gallery.config.excludeDirs.includes(entry.name))
+    .filter(entry => !fs.existsSync(path.join(prototypesDir, entry.name, 'index.html')))
+    .map(entry => entry.name);
+}
+
+// true, or why name cannot be the folder of a new prototype in feature. Deployments are named
+// after the folder, so it has to be unique across features; folders: those of the existing prototypes.
+function validatePrototypeName(name, feature, folders) {
+  const valid = validateSlug(name);
+  if (valid !== true) {
+    return valid;
+  }
+  const existing = folders.find(folder => path.basename(folder) === name);
+  if (existing || fs.existsSync(path.join(prototypesDir, feature, name))) {
+    return `"${name}" is already taken${existing ? ` (${existing})` : ''}; prototype names are unique across features`;
+  }
+  return true;
+}
+
+function getGitUserName() {
+  try {
+    return execSync('git config user.name', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+// Create a prototype from a built-in or project template (lib/scaffold) with its prototype.json.
+// Feature, name and template are asked for unless given as <feature>/<name> and --template.
+async function newPrototype(target, { template: templateId }) {
+  const NEW_FEATURE = Symbol('new feature');
+  const fail = (message, hint) => {
+    console.error(chalk.red(message));
+    if (hint) {
+      console.log(chalk.gray(hint));
+    }
+    process.exit(1);
+  };
+  
+  let templates;
+  try {
+    templates = listTemplates(gallery.config.scaffold.templatesDir);
+  } catch (error) {
+    fail(error.message);
+  }
+  
+  const folders = (await getPrototypes()).map(folderOf);
+  
+  // Given values skip their question, so check them the way the questions would
+  const given = {};
+  if (target) {
+    const [feature, name, ...rest] = target.split('/');
+    if (!name || rest.length > 0) {
+      fail(`Expected <feature>/<name>, got "${target}"`, 'Usage: npm run new [<feature>/<name>] [-- --template <template>]');
+    }
+    const problem = [validateSlug(feature), validatePrototypeName(name, feature, folders)].find(result => result !== true);
+    if (problem) {
+      fail(problem);
+    }
+    Object.assign(given, { feature, name });
+  }
+  if (templateId) {
+    if (!templates.some(template => template.id === templateId)) {
+      fail(`Unknown template "${templateId}"`, `Templates: ${templates.map(template => template.id).join(', ')}`);
     }
-    break;
+    given.template = templateId;
+  }
+  
+  console.log(chalk.blue('\n✨ New prototype\n'));
+  const features = getFeatures();
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'feature',
+      message: 'Feature:',
+      choices: [...features, ...(features.length > 0 ? [new inquirer.Separator()] : []), { name: 'New feature…', value: NEW_FEATURE }]
+    },
+    {
+      type: 'input',
+      name: 'newFeature',
+      message: 'Name of the new feature folder:',
+      when: (answers) => answers.feature === NEW_FEATURE,
+      validate: (value) => {
+        const valid = validateSlug(value);
+        return valid !== true || !fs.existsSync(path.join(prototypesDir, value)) ? valid : `${value} already exists`;
+      }
+    },
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Prototype folder name:',
+      validate: (value, answers) => validatePrototypeName(value, answers.newFeature || answers.feature, folders)
+    },
+    {
+      type: 'input',
+      name: 'title',
+      message: 'Title:',
+      default: (answers) => formatTitle(answers.name)
+    },
+    {
+      type: 'input',
+      name: 'description',
+      message: 'Description (optional):'
+    },
+    {
+      type: 'input',
+      name: 'owner',
+      message: 'Owner (optional):',
+      default: getGitUserName() || undefined
+    },
+    {
+      type: 'list',
+      name: 'template',
+      message: 'Template:',
+      choices: templates.map(template => ({
+        name: `${template.title}${template.source === 'project' ? chalk.gray(' (project)') : ''}${template.description ? chalk.gray(` – ${template.description}`) : ''}`,
+        value: template.id
+      }))
+    }
+  ], given);
+  
+  const feature = answers.newFeature || answers.feature;
+  const template = templates.find(t => t.id === answers.template);
+  const templateAnswers = await inquirer.prompt(Object.entries(template.variables).map(([key, spec]) => ({
+    type: 'input',
+    name: key,
+    message: `${spec.message || key}:`,
+    default: spec.default
+  })));
+  
+  const dir = path.join(prototypesDir, feature, answers.name);
+  const variables = getVariables({
+    name: answers.name,
+    title: answers.title,
+    description: answers.description,
+    owner: answers.owner,
+    feature,
+    featureTitle: formatTitle(feature),
+    projectTitle: gallery.config.project.title
+  });
+  
+  try {
+    const files = createPrototype({
+      template,
+      dir,
+      variables: { ...variables, ...templateAnswers },
+      metadata: {
+        title: answers.title,
+        description: answers.description,
+        owner: answers.owner,
+        created: variables.date
+      },
+      defaults: { status: 'draft' }
+    });
     
-  default:
-    console.log(chalk.blue('\n🎨 Prototype Manager\n'));
-    console.log(chalk.white('Commands:'));
-    console.log(chalk.gray('  npm run deploy [name]  - Deploy a prototype'));
-    console.log(chalk.gray('  npm run list          - List all prototypes'));
-    console.log(chalk.gray('  npm run quick         - Quick deploy from current directory'));
-    console.log(chalk.gray('  npm run url <name>    - Get URL for deployed prototype'));
-    console.log();
-}
\ No newline at end of file
+    console.log(chalk.green(`\n✅ Created ${feature}/${answers.name} from the ${template.title} template:`));
+    files.forEach(file => console.log(chalk.gray(`  ${path.relative(process.cwd(), file)}`)));
+    console.log(chalk.white('\nNext steps:'));
+    console.log(chalk.gray('  Preview it with live reload: npm run serve (in the repository root)'));
+    console.log(chalk.gray(`  Deploy it: npm run deploy ${feature}/${answers.name}\n`));
+  } catch (error) {
+    fail(`Could not create the prototype: ${error.message}`);
+  }
+}
+
+// Main CLI
+async function main() {
+  migrateDeployments();
+  
+  switch (command) {
+    case 'deploy':
+      if (json && !flags.includes('--dry-run')) {
+        console.error(chalk.red('--json prints the plan of a dry run; add --dry-run'));
+        process.exit(1);
+      } else if (flags.includes('--dry-run')) {
+        await planDeploy(args, { json });
+      } else if (args[0]) {
+        await deployPrototype(args[0], note, { force });
+      } else {
+        await interactiveDeploy(note, { force });
+      }
+      break;
+      
+    case 'list':
+      await listPrototypes();
+      break;
+      
+    case 'new':
+      await newPrototype(args[0], { template: getFlagValue('--template') });
+      break;
+      
+    case 'quick':
+      await quickDeploy();
+      break;
+      
+    case 'url':
+      if (args[0]) {
+        await getUrl(args[0]);
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: npm run url <prototype-name>'));
+      }
+      break;
+      
+    case 'prune':
+      await pruneDeployments({ yes: flags.includes('--yes'), remote: flags.includes('--remote') });
+      break;
+      
+    case 'history':
+      if (args[0]) {
+        await showHistory(args[0]);
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: node cli.js history <prototype-name>'));
+      }
+      break;
+      
+    case 'rollback':
+      if (args[0]) {
+        await rollbackPrototype(args[0], args[1]);
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: npm run rollback <prototype-name> [-- <version>]'));
+      }
+      break;
+      
+    case 'validate':
+      await validatePrototypes(args[0], { json });
+      break;
+      
+    case 'export':
+      if (args[0]) {
+        await exportPrototype(args[0], { singleFile: flags.includes('--single-file'), output: getFlagValue('--output') });
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: npm run export <prototype-name> -- --single-file [--output <file.html>]'));
+      }
+      break;
+      
+    case 'password':
+      if (args[0]) {
+        await managePassword(args[0], { remove: flags.includes('--remove') });
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: npm run password <prototype-name> [-- --remove]'));
+      }
+      break;
+      
+    case 'feedback':
+      if (args[0]) {
+        await showFeedback(args[0], { json, exportFile: getFlagValue('--export') });
+      } else {
+        console.log(chalk.red('Please specify a prototype name'));
+        console.log(chalk.gray('Usage: npm run feedback <prototype-name> [-- --json | --export <file.json|csv|md>]'));
+      }
+      break;
+      
+    default:
+      console.log(chalk.blue('\n🎨 Prototype Manager\n'));
+      console.log(chalk.white('Commands:'));
+      console.log(chalk.gray('  npm run deploy [name]  - Deploy a prototype'));
+      console.log(chalk.gray('  npm run new [feature/name] [-- --template <template>] - Create a prototype from a template'));
+      console.log(chalk.gray('  npm run list          - List all prototypes'));
+      console.log(chalk.gray('  npm run quick         - Quick deploy from current directory'));
+      console.log(chalk.gray('  npm run url <name>    - Get URL for deployed prototype'));
+      console.log(chalk.gray('  npm run history <name> - List earlier deployments'));
+      console.log(chalk.gray('  npm run rollback <name> [-- <version>] - Point the gallery at an earlier deployment'));
+      console.log(chalk.gray('  npm run feedback <name> [-- --export <file>] - List or export stakeholder comments'));
+      console.log(chalk.gray('  npm run validate [name] [-- --json] - Check prototypes for broken links and other problems'));
+      console.log(chalk.gray('  npm run export <name> -- --single-file [--output <file>] - Export as one self-contained HTML file'));
+      console.log(chalk.gray('  npm run password <name> [-- --remove] - Set or remove the password of a password-protected prototype'));
+      console.log(chalk.gray('  npm run deploy <name> -- --note "text" - Deploy with a note for the history'));
+      console.log(chalk.gray('  npm run deploy <name> -- --force - Deploy despite validation errors'));
+      console.log(chalk.gray('  npm run deploy [name] -- --dry-run [--json] - Show what would be deployed'));
+      console.log(chalk.gray('  npm run prune [-- --remote] [--yes] - Forget (and delete) deployments of removed prototypes'));
+      console.log();
+  }
+}
+
+main().catch(fail);
@@ -66,19 +66,25 @@ htmlFiles.forEach(file => {
   }
 });
 
-// Step 4: Create config file
-const configPath = path.join(__dirname, 'config.json');
-const config = {
-  prototypesPath: '../prototypes',
-  deployments: {},
-  defaultSettings: {
-    public: true,
-    framework: null
-  }
-};
-
-fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
-console.log(chalk.green('✓ Created configuration file'));
+// Step 4: Create config files
+const galleryConfigPath = path.join(rootDir, 'gallery.config.json');
+if (!fs.existsSync(galleryConfigPath)) {
+  const galleryConfig = {
+    project: {
+      name: path.basename(rootDir),
+      title: 'Prototype Gallery'
+    },
+    prototypesDir: './prototypes',
+    deployProvider: {
+      type: 'vercel'
+    }
+  };
+  
+  fs.writeFileSync(galleryConfigPath, JSON.stringify(galleryConfig, null, 2) + '\n');
+  console.log(chalk.green('✓ Created gallery.config.json'));
+} else {
+  console.log(chalk.green('✓ gallery.config.json exists'));
+}
 
 // Step 5: Create vercel.json for each prototype
 console.log(chalk.yellow('\nConfiguring Vercel settings...'));
@@ -91,8 +97,7 @@ prototypeDirs.forEach(dir => {
   const vercelConfig = {
     "name": `prototype-${dir}`,
     "builds": [],
-    "routes": [],
-    "public": true
+    "routes": []
   };
   
   if (!fs.existsSync(vercelConfigPath)) {